@@ -0,0 +1,106 @@
+/**
+ * Minimal mock of the REST storage backend for offline development.
+ *
+ *   npm run mock-server
+ *   VITE_STORAGE_BACKEND=rest VITE_STORAGE_ENDPOINT=http://localhost:3001/api npm run dev
+ *
+ * Env vars:
+ *   PORT       port to listen on (default 3001)
+ *   DB_FILE    JSON file used to persist documents between restarts (default mock-server/db.json)
+ *   LATENCY    artificial delay per request in ms (default 0)
+ *   FAIL_RATE  fraction of writes that fail with 503, to exercise client retries (default 0)
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DB_FILE = process.env.DB_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'db.json');
+const LATENCY = Number(process.env.LATENCY) || 0;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+const loadDocuments = () => {
+  try {
+    return JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+const documents = loadDocuments();
+
+const persist = () => fs.writeFileSync(DB_FILE, JSON.stringify(documents, null, 2));
+
+const toMeta = ({ data, ...meta }) => meta;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (err) {
+      reject(err);
+    }
+  });
+  req.on('error', reject);
+});
+
+const handleRequest = async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const match = pathname.match(/^\/api\/documents(?:\/([^/]+))?$/);
+  if (!match) return send(res, 404, { error: 'Not found' });
+  const id = match[1] && decodeURIComponent(match[1]);
+
+  if (LATENCY) await new Promise(resolve => setTimeout(resolve, LATENCY));
+  if (req.method !== 'GET' && Math.random() < FAIL_RATE) {
+    return send(res, 503, { error: 'Simulated failure' });
+  }
+
+  if (!id && req.method === 'GET') {
+    const list = Object.values(documents).map(toMeta).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    return send(res, 200, list);
+  }
+  if (!id) return send(res, 405, { error: 'Method not allowed' });
+
+  switch (req.method) {
+    case 'GET':
+      return documents[id] ? send(res, 200, documents[id]) : send(res, 404, { error: 'Not found' });
+    case 'PATCH': {
+      let changes;
+      try {
+        changes = await readBody(req);
+      } catch {
+        return send(res, 400, { error: 'Invalid JSON body' });
+      }
+      documents[id] = { ...documents[id], ...changes, id, updatedAt: Date.now() };
+      persist();
+      return send(res, 200, toMeta(documents[id]));
+    }
+    case 'DELETE':
+      delete documents[id];
+      persist();
+      return send(res, 204);
+    default:
+      return send(res, 405, { error: 'Method not allowed' });
+  }
+};
+
+http.createServer((req, res) => {
+  handleRequest(req, res).catch(err => send(res, 500, { error: err.message }));
+}).listen(PORT, () => {
+  console.log(`Mock storage server listening on http://localhost:${PORT}/api`);
+});
@@ -0,0 +1,138 @@
+/**
+ * Benchmark of the large-map code paths on a generated tree.
+ *
+ *   npm run benchmark                      5,000 nodes, 5 runs per step
+ *   npm run benchmark -- --nodes 10000     bigger tree
+ *   npm run benchmark -- --out big.json    also save the tree (import it in the app to try it live)
+ *
+ * App modules are loaded through Vite so they run exactly as bundled.
+ */
+import { writeFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { createServer } from 'vite';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const NODE_COUNT = Number(option('nodes', 5000));
+const RUNS = Number(option('runs', 5));
+const OUT_FILE = option('out', null);
+
+// Small seeded PRNG so every run measures the same tree
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const WORDS = ['Auth', 'Gateway', 'Cache', 'Queue', 'Worker', 'Store', 'Index', 'Router', 'Billing', 'Search',
+  'Metrics', 'Config', 'Session', 'Upload', 'Mailer', 'Scheduler', 'Audit', 'Profile', 'Export', 'Sync'];
+
+// Breadth-first growth with 2-8 children per node, like a wide architecture map
+const generateTree = (count, random) => {
+  const makeNode = (id, title) => ({
+    id,
+    title,
+    summary: `Summary of ${title}`,
+    description: `${title} handles part of the platform.`,
+    metadata: { notes: '', inputs: [], outputs: [] },
+    children: []
+  });
+  const root = makeNode('root', 'Platform');
+  const queue = [root];
+  let created = 1;
+  while (created < count) {
+    const parent = queue.shift();
+    const childCount = Math.min(count - created, 2 + Math.floor(random() * 7));
+    for (let i = 0; i < childCount; i++) {
+      const word = WORDS[Math.floor(random() * WORDS.length)];
+      const child = makeNode(`node-${created}`, `${word} ${created}`);
+      parent.children.push(child);
+      queue.push(child);
+      created++;
+    }
+  }
+  return root;
+};
+
+const collectIds = (node, ids = []) => {
+  ids.push(node.id);
+  node.children.forEach(child => collectIds(child, ids));
+  return ids;
+};
+
+const measure = (label, runs, fn) => {
+  const times = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    result = fn(i);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  const median = times[Math.floor(times.length / 2)];
+  console.log(`${label.padEnd(34)} median ${median.toFixed(1).padStart(8)} ms   min ${times[0].toFixed(1).padStart(8)} ms`);
+  return result;
+};
+
+const server = await createServer({
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false }
+});
+
+try {
+  const { calculateLayout } = await server.ssrLoadModule('/src/utils/layout.js');
+  const { cullLayout, createNodeIndex, findNodeAt, getViewBounds, CULL_MARGIN } =
+    await server.ssrLoadModule('/src/utils/viewport.js');
+  const { searchNodes } = await server.ssrLoadModule('/src/utils/search.js');
+  const { toSvg } = await server.ssrLoadModule('/src/utils/exporters.js');
+  const d3 = await import('d3');
+
+  const random = mulberry32(42);
+  const root = generateTree(NODE_COUNT, random);
+  const expanded = new Set(collectIds(root));
+  console.log(`Generated ${expanded.size} nodes, ${RUNS} runs per step\n`);
+  if (OUT_FILE) {
+    writeFileSync(OUT_FILE, JSON.stringify(root, null, 2));
+    console.log(`Saved tree to ${OUT_FILE}\n`);
+  }
+
+  const layouts = {};
+  ['radial', 'tree', 'org'].forEach(mode => {
+    layouts[mode] = measure(`layout: ${mode}`, RUNS, () => calculateLayout(mode, root, expanded));
+  });
+  // The force simulation is by far the slowest layout, so it runs once
+  measure('layout: force', 1, () => calculateLayout('force', root, expanded));
+
+  const layout = layouts.radial;
+  const index = measure('hit-test index build', RUNS, () => createNodeIndex(layout.nodes));
+  measure('hit-test 1,000 pointer lookups', RUNS, () => {
+    let hits = 0;
+    for (let i = 0; i < 1000; i++) {
+      const node = layout.nodes[Math.floor(random() * layout.nodes.length)];
+      if (findNodeAt(index, node.x + random() * 10, node.y)) hits++;
+    }
+    return hits;
+  });
+
+  // A 1440x900 viewport at a readable zoom, panned to 100 random nodes
+  const viewports = Array.from({ length: 100 }, () => {
+    const node = layout.nodes[Math.floor(random() * layout.nodes.length)];
+    return d3.zoomIdentity.translate(720, 450).scale(0.6).translate(-node.x, -node.y);
+  });
+  const culled = measure('cull 100 viewports', RUNS, () => viewports.map(transform =>
+    cullLayout(layout, getViewBounds(transform, 1440, 900, CULL_MARGIN), new Set())
+  ));
+  const averageRendered = culled.reduce((sum, { nodes }) => sum + nodes.length, 0) / culled.length;
+
+  measure('search "cache"', RUNS, () => searchNodes(root, 'cache'));
+  measure('SVG export (radial)', RUNS, () => toSvg(root, expanded, 'radial'));
+
+  console.log(`\nNodes rendered per viewport after culling: ${averageRendered.toFixed(0)} of ${layout.nodes.length}`);
+} finally {
+  await server.close();
+}
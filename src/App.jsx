@@ -1,77 +1,258 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import MindMap from './components/MindMap';
 import Sidebar from './components/Sidebar';
 import Toolbar from './components/Toolbar';
+import ShortcutsOverlay from './components/ShortcutsOverlay';
+import SearchPanel from './components/SearchPanel';
+import FilterPanel from './components/FilterPanel';
+import Breadcrumbs from './components/Breadcrumbs';
 import { useMindMapData } from './hooks/useMindMapData';
+import { useDocumentLibrary } from './hooks/useDocumentLibrary';
+import { useTheme } from './hooks/useTheme';
+import { useHashLink, useHashSync } from './hooks/useDeepLink';
+import { createStorageAdapter, createMemoryAdapter } from './storage';
+import { importMindMap, normalizeTree } from './utils/importers';
+import {
+  collectIds, collectIdsToDepth, getSubtreeDepth, findNodeById, findParentNode, findAncestors, extractNodes, findTopmost
+} from './utils/tree';
+import { copyText, readText } from './utils/text';
+import { writeClipboard, readClipboard } from './utils/clipboard';
+import { searchNodes, collectAncestorIds } from './utils/search';
+import { getInheritedStyle } from './utils/nodeStyle';
+import { collectCrossLinks, getCrossLinkType } from './utils/crossLinks';
+import { collectTags, findTaggedNodes, normalizeTag } from './utils/tags';
+import { collectAssignees, findTasks, toDateKey } from './utils/tasks';
+import { documentKeys, readJson, writeJson, loadTemplate } from './utils/documentStorage';
+import { MAX_EMBED_LENGTH, emptyLink, buildHash, encodeMap, decodeMap } from './utils/deepLink';
+import {
+  toJson, toMarkdown, toOpml, toHtmlDocument, toSvg, svgToPng, downloadBlob, toFileName
+} from './utils/exporters';
 import './App.css';
 
+const SHARED_DOCUMENT_ID = 'shared';
+
+// Whether a link points at this workspace's document (or at the shared map it shows)
+const isLinkTo = (link, documentId, sharedMap) => (sharedMap ? link.map === sharedMap : link.documentId === documentId);
+
 /**
- * Main App component - orchestrates mindmap functionality
- * Handles state management, user interactions, and data operations
+ * Workspace for one mindmap document
+ * Handles state management, user interactions, and data operations.
+ * Remounted per document, so selection, expansion and drill state are per document.
+ * With `sharedMap` (the encoded map of a link) it shows that map read-only instead.
  */
-function App() {
-  const { data, loading, error, updateNode, addNode, deleteNode } = useMindMapData();
-  const [selectedNode, setSelectedNode] = useState(() => {
-    const saved = localStorage.getItem('mindmap-selected-node');
-    return saved ? JSON.parse(saved) : null;
+function MindMapWorkspace({ documentId, library, storage, link, onLinkChange, sharedMap = null }) {
+  const {
+    data, loading, error, repairs, newerVersion, updateNode, updateNodes, addNode, deleteNode, deleteNodes, insertNodes, duplicateNodes, moveNode, moveNodes, addCrossLink, updateCrossLink, deleteCrossLink,
+    renameTag, replaceData, undo, redo, canUndo, canRedo, saveStatus, saveError, retrySave
+  } = useMindMapData(documentId, storage, { readOnly: Boolean(sharedMap) });
+  const readOnly = Boolean(sharedMap) || newerVersion !== null;
+  // A link to this document decides the drill path and selection it opens with
+  const [linked] = useState(() => isLinkTo(link, documentId, sharedMap));
+  const [initialView] = useState(() => (readOnly ? {} : readJson(documentKeys(documentId).view, {})));
+  // Selected node ids in the order they were picked; the last one is the node the sidebar,
+  // keyboard and links follow, the rest are only there for bulk operations
+  const [selectedIds, setSelectedIds] = useState(() => {
+    const id = linked ? link.selectedNodeId : initialView.selectedNodeId;
+    return id ? [id] : [];
   });
+  const setSelectedNodeId = useCallback((id) => setSelectedIds(id ? [id] : []), []);
   const [hoveredNode, setHoveredNode] = useState(null);
-  const [expandedNodes, setExpandedNodes] = useState(new Set(['root']));
-  const [drillPath, setDrillPath] = useState([]);
+  const [expandedNodes, setExpandedNodes] = useState(() => new Set(initialView.expandedNodes || ['root']));
+  const [drillPath, setDrillPath] = useState(linked ? link.drillPath : initialView.drillPath || []);
+  // The visible part of the map as { x, y, k }, reported by the map after every pan and zoom
+  const [view, setView] = useState(linked ? link.view : null);
+  const [layoutMode, setLayoutMode] = useState(initialView.layoutMode || 'radial');
+  const [renderer, setRenderer] = useState(initialView.renderer || 'svg');
+  const [notice, setNotice] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [filterMode, setFilterMode] = useState('off');
+  const [activeTags, setActiveTags] = useState(() => new Set());
+  const [taskCriteria, setTaskCriteria] = useState({ overdue: false, assignee: '' });
+  // How the filter panel's tag and task filters show the branches they leave out
+  const [panelFilterMode, setPanelFilterMode] = useState('hide');
+  // Set while the user picks the target of a new cross-link on the map: { sourceId, type, label }
+  const [linkDraft, setLinkDraft] = useState(null);
+  const [theme, setTheme] = useTheme();
   const fitViewRef = useRef();
+  const revealNodeRef = useRef();
+  const setViewRef = useRef();
 
-  // Node interaction handlers
-  const handleNodeSelect = useCallback((node) => {
-    setSelectedNode(node);
-    if (node) {
-      try {
-        const cleanNode = { 
-          id: node.id, 
-          title: node.title, 
-          summary: node.summary, 
-          description: node.description,
-          metadata: node.metadata
-        };
-        localStorage.setItem('mindmap-selected-node', JSON.stringify(cleanNode));
-      } catch (error) {
-        console.warn('Failed to save selected node to localStorage:', error);
+  // Always resolve the selection against the current tree so edits, undo and deletes stay in sync
+  const selectedNodes = useMemo(
+    () => (data ? selectedIds.map(id => findNodeById(data, id)).filter(Boolean) : []),
+    [data, selectedIds]
+  );
+  const selectedNode = selectedNodes[selectedNodes.length - 1] ?? null;
+  const selectedNodeId = selectedNode?.id ?? null;
+  const selectedIdSet = useMemo(() => new Set(selectedNodes.map(node => node.id)), [selectedNodes]);
+  const isMultiSelect = selectedNodes.length > 1;
+
+  // Search covers the whole tree, not just the expanded or drilled-into part
+  const searchResults = useMemo(() => searchNodes(data, searchQuery), [data, searchQuery]);
+  const search = useMemo(() => ({
+    matchIds: new Set(searchResults.map(result => result.node.id)),
+    ancestorIds: collectAncestorIds(searchResults),
+    filterMode
+  }), [searchResults, filterMode]);
+
+  // The tag filter keeps branches holding any of the picked tags; tags no node carries any more are ignored
+  const documentTags = useMemo(() => collectTags(data), [data]);
+  const pickedTags = useMemo(
+    () => new Set(documentTags.map(({ tag }) => tag).filter(tag => activeTags.has(tag))),
+    [documentTags, activeTags]
+  );
+  const tagFilter = useMemo(() => {
+    const results = findTaggedNodes(data, pickedTags);
+    return {
+      matchIds: new Set(results.map(result => result.node.id)),
+      ancestorIds: collectAncestorIds(results),
+      filterMode: panelFilterMode
+    };
+  }, [data, pickedTags, panelFilterMode]);
+
+  // Task filter: overdue tasks and/or tasks assigned to someone still in the map
+  const assignees = useMemo(() => collectAssignees(data), [data]);
+  const taskFilterCriteria = useMemo(() => ({
+    overdue: taskCriteria.overdue,
+    assignee: assignees.includes(taskCriteria.assignee) ? taskCriteria.assignee : ''
+  }), [taskCriteria, assignees]);
+  const taskFilter = useMemo(() => {
+    const results = findTasks(data, taskFilterCriteria, toDateKey(new Date()));
+    return {
+      matchIds: new Set(results.map(result => result.node.id)),
+      ancestorIds: collectAncestorIds(results),
+      filterMode: panelFilterMode
+    };
+  }, [data, taskFilterCriteria, panelFilterMode]);
+
+  // Cross-links of the selected node in both directions, with the node at the other end
+  const documentCrossLinks = useMemo(() => collectCrossLinks(data), [data]);
+  const selectedCrossLinks = useMemo(() => {
+    if (!selectedNode) return { outgoing: [], incoming: [] };
+    const withNode = (link, nodeId) => ({ ...link, node: findNodeById(data, nodeId) });
+    return {
+      outgoing: documentCrossLinks.filter(link => link.source === selectedNode.id).map(link => withNode(link, link.target)),
+      incoming: documentCrossLinks.filter(link => link.target === selectedNode.id).map(link => withNode(link, link.source))
+    };
+  }, [data, documentCrossLinks, selectedNode]);
+
+  // The real root, then each drill level the map shows - levels no longer inside the one before are skipped
+  const breadcrumbs = useMemo(() => {
+    if (!data) return [];
+    const crumbs = [{ node: data, depth: 0 }];
+    drillPath.forEach((id, i) => {
+      const node = findNodeById(crumbs[crumbs.length - 1].node, id);
+      if (node) crumbs.push({ node, depth: i + 1 });
+    });
+    return crumbs;
+  }, [data, drillPath]);
+  const levelRoot = breadcrumbs[breadcrumbs.length - 1]?.node;
+
+  // Remember this document's view state
+  useEffect(() => {
+    if (readOnly) return;
+    writeJson(documentKeys(documentId).view, {
+      selectedNodeId,
+      expandedNodes: [...expandedNodes],
+      drillPath,
+      layoutMode,
+      renderer
+    });
+  }, [readOnly, documentId, selectedNodeId, expandedNodes, drillPath, layoutMode, renderer]);
+
+  // Keep the URL hash on what is shown, once there is something to show
+  useHashSync(data ? { documentId, map: sharedMap, drillPath, selectedNodeId, view } : null);
+
+  // Follow a link to this document when it opens and whenever back/forward returns to one of its views.
+  // Ids the tree no longer has are dropped; the linked node's branch is expanded so it is on screen.
+  const loaded = Boolean(data);
+  useEffect(() => {
+    if (!loaded) return;
+    if (!isLinkTo(link, documentId, sharedMap)) {
+      if (link.documentId && !sharedMap && !library.documents.some(doc => doc.id === link.documentId)) {
+        setNotice({ type: 'error', message: 'The linked mind map is not in your library - showing your last map instead' });
       }
+      return;
     }
+    const drill = link.drillPath.filter(id => findNodeById(data, id));
+    const selectedId = link.selectedNodeId && findNodeById(data, link.selectedNodeId) ? link.selectedNodeId : null;
+    const ancestorIds = selectedId ? findAncestors(data, selectedId).map(node => node.id) : [];
+    setDrillPath(prev => (prev.join('\n') === drill.join('\n') ? prev : drill));
+    setSelectedNodeId(selectedId);
+    setExpandedNodes(prev => new Set([...prev, ...drill, ...ancestorIds]));
+    if (link.view) setViewRef.current?.(link.view);
+  }, [link, loaded]);
+  // Node interaction handlers
+  const handleNodeSelect = useCallback((node) => setSelectedNodeId(node?.id ?? null), []);
+
+  // Shift/Ctrl-click adds a node to the selection, or takes it out again
+  const handleToggleSelect = useCallback((node) => {
+    setSelectedIds(prev => (prev.includes(node.id) ? prev.filter(id => id !== node.id) : [...prev, node.id]));
+  }, []);
+
+  // The lasso adds what it encloses
+  const handleSelectNodes = useCallback((nodeIds) => {
+    setSelectedIds(prev => [...prev, ...nodeIds.filter(id => !prev.includes(id))]);
   }, []);
   const handleNodeHover = useCallback((node) => setHoveredNode(node), []);
 
-  // Update selected node when data changes to keep it in sync
+  // Undo/redo shortcuts - leave text fields to their native undo
   useEffect(() => {
-    if (selectedNode && data) {
-      const findNodeById = (node, id) => {
-        if (node.id === id) return node;
-        if (node.children) {
-          for (const child of node.children) {
-            const found = findNodeById(child, id);
-            if (found) return found;
-          }
-        }
-        return null;
-      };
-      
-      const updatedNode = findNodeById(data, selectedNode.id);
-      if (updatedNode) {
-        setSelectedNode(updatedNode);
-        try {
-          const cleanNode = { 
-            id: updatedNode.id, 
-            title: updatedNode.title, 
-            summary: updatedNode.summary, 
-            description: updatedNode.description,
-            metadata: updatedNode.metadata
-          };
-          localStorage.setItem('mindmap-selected-node', JSON.stringify(cleanNode));
-        } catch (error) {
-          console.warn('Failed to update selected node in localStorage:', error);
-        }
-      }
-    }
-  }, [data, selectedNode?.id]);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      const target = e.target;
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+      e.preventDefault();
+      e.shiftKey ? redo() : undo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // '?' opens the keyboard shortcuts reference
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (e.key !== '?' || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+      e.preventDefault();
+      setShowShortcuts(true);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Escape abandons picking a cross-link target
+  useEffect(() => {
+    if (!linkDraft) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setLinkDraft(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [linkDraft]);
+
+  // Say so when the map had to be repaired on load; the details go to the console
+  useEffect(() => {
+    if (repairs.length === 0) return;
+    const count = repairs.length === 1 ? '1 problem' : `${repairs.length} problems`;
+    setNotice({ type: 'info', message: `Repaired ${count} in this map's data - the browser console lists them` });
+  }, [repairs]);
+
+  useEffect(() => {
+    if (newerVersion === null) return;
+    setNotice({
+      type: 'info',
+      message: `This map was saved by a newer version of the app (format ${newerVersion}), so it is open read-only to keep what this version doesn't understand`
+    });
+  }, [newerVersion]);
+
+  // Success notices dismiss themselves, errors stay until closed
+  useEffect(() => {
+    if (notice?.type !== 'success') return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
 
   // Node expansion/collapse
   const handleToggleExpand = useCallback((nodeId) => {
@@ -85,33 +266,69 @@ function App() {
   // Toolbar actions
   const handleExpandAll = useCallback(() => {
     if (!data) return;
-    const getAllIds = (node) => {
-      const ids = [node.id];
-      if (node.children) node.children.forEach(child => ids.push(...getAllIds(child)));
-      return ids;
-    };
-    setExpandedNodes(new Set(getAllIds(data)));
+    setExpandedNodes(new Set(collectIds(data)));
   }, [data]);
 
   const handleCollapseAll = useCallback(() => setExpandedNodes(new Set(['root'])), []);
+
+  // Expanding part of the map: a number of levels of the current drill level, or one branch
+  const levelDepth = useMemo(() => (levelRoot ? getSubtreeDepth(levelRoot) : 0), [levelRoot]);
+
+  // Show `depth` levels below the drill root - deeper branches close, the rest of the map is left as it is
+  const handleExpandToLevel = useCallback((depth) => {
+    if (!levelRoot) return;
+    const inside = new Set(collectIds(levelRoot));
+    setExpandedNodes(prev => new Set([...[...prev].filter(id => !inside.has(id)), ...collectIdsToDepth(levelRoot, depth)]));
+  }, [levelRoot]);
+
+  // Open everything below the selected node, and the branches leading to it
+  const handleExpandBranch = useCallback(() => {
+    if (!selectedNode) return;
+    const ancestors = findAncestors(data, selectedNode.id) || [];
+    setExpandedNodes(prev => new Set([...prev, ...ancestors.map(node => node.id), ...collectIds(selectedNode)]));
+  }, [data, selectedNode]);
   
+  // Drilling keeps the expansion state: the subtree opens as it was left, its root expanded.
+  // Drilling into a deeper node passes through its ancestors so each gets a breadcrumb.
+  const handleDrillInto = useCallback((nodeId) => {
+    const ancestors = levelRoot && findAncestors(levelRoot, nodeId);
+    const node = ancestors && findNodeById(levelRoot, nodeId);
+    if (!node?.children?.length || node === levelRoot) return;
+    const path = [...ancestors.slice(1).map(ancestor => ancestor.id), nodeId];
+    setDrillPath(prev => [...prev, ...path]);
+    setExpandedNodes(prev => new Set([...prev, ...path]));
+    setSelectedNodeId(null);
+  }, [levelRoot]);
+
   const handleDrillDown = useCallback(() => {
-    if (selectedNode?.children?.length > 0) {
-      setDrillPath(prev => [...prev, selectedNode.id]);
-      setExpandedNodes(new Set([selectedNode.id]));
-      setSelectedNode(null);
-    }
-  }, [selectedNode]);
+    if (selectedNode) handleDrillInto(selectedNode.id);
+  }, [selectedNode, handleDrillInto]);
 
-  const handleDrillUp = useCallback(() => {
-    if (drillPath.length > 0) {
-      setDrillPath(prev => prev.slice(0, -1));
-      setSelectedNode(null);
-    }
+  // Go back to the drill level `depth` (0 is the whole map), selecting the subtree just left
+  const handleDrillTo = useCallback((depth) => {
+    if (depth < 0 || depth >= drillPath.length) return;
+    setDrillPath(drillPath.slice(0, depth));
+    setSelectedNodeId(drillPath[depth]);
   }, [drillPath]);
 
+  const handleDrillUp = useCallback(() => handleDrillTo(drillPath.length - 1), [drillPath, handleDrillTo]);
+
   const handleFitView = useCallback(() => fitViewRef.current?.(), []);
 
+  // Bring any node into view: leave drill-downs that exclude it, expand its ancestors, select and pan
+  const handleRevealNode = useCallback((nodeId) => {
+    const ancestors = findAncestors(data, nodeId);
+    if (!ancestors) return;
+    const pathIds = new Set([...ancestors.map(node => node.id), nodeId]);
+    setDrillPath(prev => {
+      const kept = prev.findIndex(id => !pathIds.has(id));
+      return kept === -1 ? prev : prev.slice(0, kept);
+    });
+    setExpandedNodes(prev => new Set([...prev, ...ancestors.map(node => node.id)]));
+    setSelectedNodeId(nodeId);
+    revealNodeRef.current?.(nodeId);
+  }, [data]);
+
   const handleAddNode = useCallback(() => {
     if (selectedNode) {
       addNode(selectedNode.id, { title: '', summary: '', description: '' });
@@ -119,63 +336,305 @@ function App() {
     }
   }, [selectedNode, addNode]);
 
+  const removeNode = useCallback((nodeId) => {
+    if (nodeId === 'root') return;
+    deleteNode(nodeId);
+    setSelectedNodeId(null);
+    setExpandedNodes(prev => {
+      const newSet = new Set(prev);
+      newSet.delete(nodeId);
+      return newSet;
+    });
+  }, [deleteNode]);
+
+  // Delete every selected node but the root, as one undo step
+  const handleDeleteSelection = useCallback(() => {
+    const ids = selectedNodes.map(node => node.id).filter(id => id !== 'root');
+    if (ids.length === 0) return;
+    deleteNodes(ids);
+    setSelectedNodeId(null);
+    setExpandedNodes(prev => new Set([...prev].filter(id => !ids.includes(id))));
+  }, [selectedNodes, deleteNodes]);
+
   const handleDeleteNode = useCallback(() => {
-    if (selectedNode?.id !== 'root') {
-      deleteNode(selectedNode.id);
-      setSelectedNode(null);
-      setExpandedNodes(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(selectedNode.id);
-        return newSet;
-      });
+    if (isMultiSelect) handleDeleteSelection();
+    else if (selectedNode) removeNode(selectedNode.id);
+  }, [isMultiSelect, selectedNode, removeNode, handleDeleteSelection]);
+
+  // Keyboard editing - new nodes are selected so their title can be edited in place
+  const handleAddChild = useCallback((parentId) => {
+    const id = addNode(parentId, { title: 'New Node', summary: '', description: '' });
+    if (!id) return null;
+    setExpandedNodes(prev => new Set([...prev, parentId]));
+    setSelectedNodeId(id);
+    return id;
+  }, [addNode]);
+
+  const handleAddSibling = useCallback((nodeId) => {
+    const parent = findParentNode(data, nodeId);
+    if (!parent) return null;
+    const index = parent.children.findIndex(child => child.id === nodeId) + 1;
+    const id = addNode(parent.id, { title: 'New Node', summary: '', description: '' }, index);
+    if (!id) return null;
+    setSelectedNodeId(id);
+    return id;
+  }, [data, addNode]);
+
+  // Each copy goes right after its original; the copies become the selection
+  const handleDuplicateSelection = useCallback(() => {
+    if (readOnly) return [];
+    const ids = duplicateNodes(selectedIds);
+    if (ids.length) setSelectedIds(ids);
+    return ids;
+  }, [readOnly, selectedIds, duplicateNodes]);
+
+  // Remember the selected branches and return the outline for the system clipboard (null if nothing to copy)
+  const copySelection = useCallback((verb) => {
+    const branches = findTopmost(data, selectedIdSet);
+    if (branches.length === 0) return null;
+    const text = writeClipboard(branches);
+    setNotice({
+      type: 'success',
+      message: branches.length === 1 ? `${verb} ${branches[0].title || 'Untitled'}` : `${verb} ${branches.length} branches`
+    });
+    return text;
+  }, [data, selectedIdSet]);
+
+  const canCut = !readOnly && selectedIds.length > 0 && !selectedIds.includes('root');
+
+  const cutSelection = useCallback(() => {
+    if (!canCut) {
+      if (!readOnly && selectedIds.includes('root')) setNotice({ type: 'error', message: "The root can't be cut" });
+      return null;
     }
-  }, [selectedNode, deleteNode]);
+    const text = copySelection('Cut');
+    if (text !== null) handleDeleteSelection();
+    return text;
+  }, [canCut, readOnly, selectedIds, copySelection, handleDeleteSelection]);
 
-  const handleReset = useCallback(() => {
-    localStorage.removeItem('mindmap-data');
-    localStorage.removeItem('mindmap-selected-node');
-    window.location.reload();
-  }, []);
+  // Pasted branches become the last children of the selected node (or of the drilled-into node)
+  const pasteText = useCallback((text) => {
+    const parent = selectedNode || levelRoot;
+    if (readOnly || !parent) return;
+    try {
+      const branches = readClipboard(text, new Set(collectIds(data)));
+      if (branches.length === 0) throw new Error('the clipboard holds no outline');
+      insertNodes(parent.id, branches);
+      setExpandedNodes(prev => new Set([...prev, parent.id]));
+      setSelectedIds(branches.map(branch => branch.id));
+      const count = branches.reduce((sum, branch) => sum + collectIds(branch).length, 0);
+      setNotice({ type: 'success', message: `Pasted ${count} ${count === 1 ? 'node' : 'nodes'}` });
+    } catch (err) {
+      setNotice({ type: 'error', message: `Could not paste: ${err.message}` });
+    }
+  }, [readOnly, selectedNode, levelRoot, data, insertNodes]);
+
+  // Ctrl+C/X/V on the map - text fields and selected page text keep the browser's own behaviour
+  useEffect(() => {
+    const isTextField = (target) =>
+      target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+    const handleCopy = (e) => {
+      if (isTextField(e.target) || !window.getSelection().isCollapsed) return;
+      const text = e.type === 'cut' ? cutSelection() : copySelection('Copied');
+      if (text === null) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', text);
+    };
+    const handlePaste = (e) => {
+      if (isTextField(e.target)) return;
+      e.preventDefault();
+      pasteText(e.clipboardData.getData('text/plain'));
+    };
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [copySelection, cutSelection, pasteText]);
+
+  // Ctrl+D duplicates the selection instead of bookmarking the page
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'd') return;
+      const target = e.target;
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+      e.preventDefault();
+      handleDuplicateSelection();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleDuplicateSelection]);
 
-  // Export functions
-  const handleDownloadImage = useCallback(() => {
-    const svg = document.querySelector('.mindmap-svg');
-    if (!svg) return;
-    const svgData = new XMLSerializer().serializeToString(svg.cloneNode(true));
-    const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.download = 'mindmap.svg';
-    link.href = url;
-    link.style.display = 'none';
-    document.body.appendChild(link);
-    link.click();
-    if (document.body.contains(link)) {
-      document.body.removeChild(link);
+  // The node menu's Copy, Cut and Paste go through the Clipboard API rather than clipboard events
+  const handleMenuClipboard = useCallback(async (action) => {
+    try {
+      if (action === 'paste') {
+        pasteText(await readText());
+      } else if (action === 'cut') {
+        // Only remove the branches once they are safely on the clipboard
+        const text = canCut ? copySelection('Cut') : null;
+        if (text === null) return;
+        await copyText(text);
+        handleDeleteSelection();
+      } else {
+        const text = copySelection('Copied');
+        if (text !== null) await copyText(text);
+      }
+    } catch (err) {
+      setNotice({ type: 'error', message: `Could not ${action}: ${err.message}` });
     }
-    URL.revokeObjectURL(url);
-  }, []);
+  }, [canCut, copySelection, handleDeleteSelection, pasteText]);
+
+  const handleRenameNode = useCallback((nodeId, title) => updateNode(nodeId, { title }), [updateNode]);
 
-  const generateDocs = useCallback((node, level = 0) => {
-    const tag = level === 0 ? 'h1' : `h${Math.min(level + 1, 6)}`;
-    let doc = `<${tag}>${node.title}</${tag}>\n`;
-    if (node.summary) doc += `<p><strong>Summary:</strong> ${node.summary}</p>\n`;
-    if (node.description) doc += `<p>${node.description}</p>\n`;
-    if (node.children) node.children.forEach(child => doc += generateDocs(child, level + 1));
-    return doc;
+  const handleMoveNode = useCallback((nodeId, parentId, index) => {
+    moveNode(nodeId, parentId, index);
+    // Keep the moved node visible under its new parent
+    setExpandedNodes(prev => new Set([...prev, parentId]));
+  }, [moveNode]);
+
+  const handleMoveNodes = useCallback((nodeIds, parentId, index) => {
+    moveNodes(nodeIds, parentId, index);
+    setExpandedNodes(prev => new Set([...prev, parentId]));
+  }, [moveNodes]);
+
+  const handleExpandSelection = useCallback((expand) => {
+    const ids = selectedNodes.filter(node => node.children?.length).map(node => node.id);
+    setExpandedNodes(prev => (expand ? new Set([...prev, ...ids]) : new Set([...prev].filter(id => !ids.includes(id)))));
+  }, [selectedNodes]);
+
+  const handlePickLinkTarget = useCallback((target) => {
+    // Clicking the source itself keeps picking
+    if (!linkDraft || target.id === linkDraft.sourceId) return;
+    const source = findNodeById(data, linkDraft.sourceId);
+    setLinkDraft(null);
+    if (readOnly) {
+      setNotice({ type: 'error', message: "This map is read-only, so links can't be added" });
+      return;
+    }
+    const id = addCrossLink(linkDraft.sourceId, target.id, linkDraft);
+    const typeLabel = getCrossLinkType(linkDraft.type).label.toLowerCase();
+    setNotice(id
+      ? { type: 'success', message: `${source?.title || 'Node'} ${typeLabel} ${target.title || 'node'}` }
+      : { type: 'error', message: `${source?.title || 'Node'} already ${typeLabel} ${target.title || 'that node'}` });
+  }, [data, linkDraft, readOnly, addCrossLink]);
+
+  const handleToggleTag = useCallback((tag) => {
+    setActiveTags(prev => {
+      const next = new Set(prev);
+      if (!next.delete(tag)) next.add(tag);
+      return next;
+    });
   }, []);
 
-  const handleDownloadDocs = useCallback(() => {
+  // A renamed tag stays picked in the filter under its new name
+  const handleRenameTag = useCallback((from, to) => {
+    const tag = normalizeTag(to);
+    if (!tag || tag === from) return;
+    const merged = documentTags.some(existing => existing.tag === tag);
+    renameTag(from, tag);
+    setActiveTags(prev => (prev.has(from) ? new Set([...prev].filter(active => active !== from).concat(tag)) : prev));
+    setNotice({ type: 'success', message: merged ? `Merged "${from}" into "${tag}"` : `Renamed "${from}" to "${tag}"` });
+  }, [documentTags, renameTag]);
+
+  const handleImport = useCallback(async (file) => {
+    try {
+      const imported = importMindMap(await file.text(), file.name);
+      const count = collectIds(imported).length;
+      if (!window.confirm(`Replace the current map with "${imported.title || file.name}" (${count} nodes)? You can undo this.`)) return;
+      replaceData(imported);
+      setSelectedNodeId(null);
+      setDrillPath([]);
+      setExpandedNodes(new Set(['root']));
+      setNotice({ type: 'success', message: `Imported ${count} nodes from ${file.name}` });
+    } catch (err) {
+      setNotice({ type: 'error', message: `Could not import ${file.name}: ${err.message}` });
+    }
+  }, [replaceData]);
+
+  // Restore the template in this document only - undoable like any other change
+  const handleReset = useCallback(async () => {
+    try {
+      replaceData(await loadTemplate());
+      setSelectedNodeId(null);
+      setDrillPath([]);
+      setExpandedNodes(new Set(['root']));
+    } catch (err) {
+      setNotice({ type: 'error', message: `Reset failed: ${err.message}` });
+    }
+  }, [replaceData]);
+
+  // Export the whole map, the current drill-down subtree or the selected nodes in the chosen format
+  const handleExport = useCallback(async (format, { scope, scale }) => {
     if (!data) return;
-    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Documentation</title><style>body{font-family:Arial,sans-serif;margin:40px;line-height:1.6}h1{color:#2c3e50;border-bottom:2px solid #3498db;padding-bottom:10px}h2,h3,h4,h5,h6{color:#34495e;margin-top:30px}p{margin:15px 0}strong{color:#2980b9}</style></head><body><div style="text-align:center;margin-bottom:40px"><h1>Interactive Component Visualization</h1><p><em>Architecture Document</em></p></div>${generateDocs(data)}</body></html>`;
-    const blob = new Blob([html], { type: 'application/msword' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.download = 'documentation.doc';
-    link.href = url;
-    link.click();
-    URL.revokeObjectURL(url);
-  }, [data, generateDocs]);
+    let root = data;
+    let expanded = expandedNodes;
+    if (scope === 'subtree' && drillPath.length > 0) {
+      root = findNodeById(data, drillPath[drillPath.length - 1]) || data;
+    } else if (scope === 'selection' && isMultiSelect) {
+      // Only the selected nodes, all shown; separate branches hang off a copy of the map's root
+      const branches = extractNodes(data, selectedIdSet);
+      root = branches.length === 1 ? branches[0] : { ...data, children: branches };
+      expanded = new Set(collectIds(root));
+    }
+    const inheritedStyle = root === data ? {} : getInheritedStyle(findAncestors(data, root.id));
+
+    const textFormats = {
+      json: { content: () => toJson(root), type: 'application/json', extension: 'json' },
+      markdown: { content: () => toMarkdown(root), type: 'text/markdown', extension: 'md' },
+      opml: { content: () => toOpml(root), type: 'text/x-opml', extension: 'opml' },
+      html: { content: () => toHtmlDocument(root, inheritedStyle), type: 'text/html', extension: 'html' }
+    };
+
+    try {
+      if (textFormats[format]) {
+        const { content, type, extension } = textFormats[format];
+        downloadBlob(new Blob([content()], { type: `${type};charset=utf-8` }), toFileName(root.title, extension));
+        return;
+      }
+      const image = toSvg(root, expanded, layoutMode, theme, inheritedStyle);
+      if (format === 'svg') {
+        downloadBlob(new Blob([image.svg], { type: 'image/svg+xml;charset=utf-8' }), toFileName(root.title, 'svg'));
+      } else if (format === 'png') {
+        downloadBlob(await svgToPng(image, scale), toFileName(root.title, 'png'));
+      }
+    } catch (err) {
+      setNotice({ type: 'error', message: `Export failed: ${err.message}` });
+    }
+  }, [data, drillPath, isMultiSelect, selectedIdSet, expandedNodes, layoutMode, theme]);
+
+  // Copy a link to what is on screen - to this document, or with the whole map embedded read-only
+  const handleShare = useCallback(async (kind) => {
+    try {
+      let url = window.location.href;
+      if (kind === 'embed') {
+        const map = await encodeMap(JSON.parse(toJson(data)));
+        if (map.length > MAX_EMBED_LENGTH) throw new Error('this map is too large to fit in a link, export it as a file instead');
+        const { origin, pathname, search } = window.location;
+        url = `${origin}${pathname}${search}${buildHash({ map, drillPath, selectedNodeId, view })}`;
+      }
+      if (navigator.clipboard) {
+        await navigator.clipboard.writeText(url);
+        setNotice({ type: 'success', message: kind === 'embed' ? 'Link with a read-only copy of the map copied' : 'Link to this view copied' });
+      } else {
+        window.prompt('Copy this link:', url);
+      }
+    } catch (err) {
+      setNotice({ type: 'error', message: `Could not create the link: ${err.message}` });
+    }
+  }, [data, drillPath, selectedNodeId, view]);
+
+  // Keep the shared map as a new document of the library, which then opens for editing
+  const sharedMapActions = useMemo(() => (sharedMap ? {
+    onSave: async () => {
+      await library.createDocument(data.title || 'Shared Map', { data });
+      onLinkChange(emptyLink);
+    },
+    onLeave: () => onLinkChange(emptyLink)
+  } : null), [sharedMap, library, data, onLinkChange]);
 
   if (loading) return <div className="app loading"><div className="loading-message">Loading mind map...</div></div>;
   if (error) return <div className="app error"><div className="error-message">Error: {error}</div></div>;
@@ -185,33 +644,211 @@ function App() {
       <Toolbar
         onExpandAll={handleExpandAll}
         onCollapseAll={handleCollapseAll}
+        onExpandToLevel={handleExpandToLevel}
+        onExpandBranch={handleExpandBranch}
+        onRevealSelected={() => handleRevealNode(selectedNode.id)}
+        expandDepth={levelDepth}
+        canExpandBranch={selectedNode?.children?.length > 0}
+        canRevealSelected={Boolean(selectedNode)}
         onDrillDown={handleDrillDown}
         onDrillUp={handleDrillUp}
         onFitView={handleFitView}
+        layoutMode={layoutMode}
+        onLayoutChange={setLayoutMode}
+        renderer={renderer}
+        onRendererChange={setRenderer}
         onAddNode={handleAddNode}
         onDeleteNode={handleDeleteNode}
-        onDownloadImage={handleDownloadImage}
-        onDownloadDocs={handleDownloadDocs}
+        onExport={handleExport}
+        onShare={handleShare}
+        onImport={handleImport}
         onReset={handleReset}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        saveStatus={saveStatus}
+        saveError={saveError}
+        onRetrySave={retrySave}
+        onShowShortcuts={() => setShowShortcuts(true)}
+        theme={theme}
+        onThemeChange={setTheme}
         canDrillDown={selectedNode?.children?.length > 0}
         canDrillUp={drillPath.length > 0}
-        canDelete={selectedNode?.id !== 'root'}
+        canExportSubtree={drillPath.length > 0}
+        selectionCount={selectedNodes.length}
+        canDelete={isMultiSelect ? selectedNodes.some(node => node.id !== 'root') : selectedNode?.id !== 'root'}
+        readOnly={readOnly}
       />
+      {linkDraft && (
+        <div className="app-notice info" role="status">
+          <span>Click the node that {findNodeById(data, linkDraft.sourceId)?.title || 'this node'} should link to, or press Enter on it (Esc to cancel)</span>
+          <button onClick={() => setLinkDraft(null)} title="Cancel">×</button>
+        </div>
+      )}
+      {notice && !linkDraft && (
+        <div className={`app-notice ${notice.type}`} role={notice.type === 'error' ? 'alert' : 'status'}>
+          <span>{notice.message}</span>
+          <button onClick={() => setNotice(null)} title="Dismiss">×</button>
+        </div>
+      )}
       <div className="main-content">
         <MindMap
           data={data}
           selectedNode={selectedNode}
+          selectedIds={selectedIdSet}
           onNodeSelect={handleNodeSelect}
+          onToggleSelect={handleToggleSelect}
+          onSelectNodes={handleSelectNodes}
           onNodeHover={handleNodeHover}
           expandedNodes={expandedNodes}
           onToggleExpand={handleToggleExpand}
+          onMoveNode={handleMoveNode}
+          onMoveNodes={handleMoveNodes}
+          onAddChild={handleAddChild}
+          onAddSibling={handleAddSibling}
+          onDeleteNode={removeNode}
+          onDeleteSelection={handleDeleteSelection}
+          onDuplicate={handleDuplicateSelection}
+          onRenameNode={handleRenameNode}
+          onDrillInto={handleDrillInto}
+          onClipboard={handleMenuClipboard}
           drillPath={drillPath}
+          layoutMode={layoutMode}
+          search={search}
+          tagFilter={tagFilter}
+          taskFilter={taskFilter}
+          theme={theme}
+          renderer={renderer}
+          readOnly={readOnly}
+          onViewChange={setView}
+          linkSourceId={linkDraft?.sourceId}
+          onPickLinkTarget={handlePickLinkTarget}
           onFitView={fitViewRef}
+          onRevealNode={revealNodeRef}
+          onSetView={setViewRef}
+        />
+        <Breadcrumbs crumbs={breadcrumbs} onSelect={handleDrillTo} />
+        <SearchPanel
+          query={searchQuery}
+          onQueryChange={setSearchQuery}
+          results={searchResults}
+          filterMode={filterMode}
+          onFilterModeChange={setFilterMode}
+          onSelectResult={handleRevealNode}
+        />
+        <FilterPanel
+          tags={documentTags}
+          activeTags={pickedTags}
+          onToggleTag={handleToggleTag}
+          onRenameTag={readOnly ? undefined : handleRenameTag}
+          assignees={assignees}
+          taskFilter={taskFilterCriteria}
+          onTaskFilterChange={setTaskCriteria}
+          filterMode={panelFilterMode}
+          onFilterModeChange={setPanelFilterMode}
+          onClear={() => {
+            setActiveTags(new Set());
+            setTaskCriteria({ overdue: false, assignee: '' });
+          }}
+        />
+        <Sidebar
+          selectedNode={selectedNode}
+          selectedNodes={selectedNodes}
+          onUpdateNode={updateNode}
+          onUpdateNodes={updateNodes}
+          onSelectNode={handleRevealNode}
+          onExpandSelection={handleExpandSelection}
+          onDeleteSelection={handleDeleteSelection}
+          tags={documentTags}
+          assignees={assignees}
+          crossLinks={selectedCrossLinks}
+          linkDraft={linkDraft}
+          onStartLink={setLinkDraft}
+          onUpdateCrossLink={updateCrossLink}
+          onDeleteCrossLink={deleteCrossLink}
+          onJumpToNode={handleRevealNode}
+          library={library}
+          sharedMap={sharedMapActions}
+          readOnly={readOnly}
         />
-        <Sidebar selectedNode={selectedNode} onUpdateNode={updateNode} />
       </div>
+      {showShortcuts && <ShortcutsOverlay onClose={() => setShowShortcuts(false)} />}
     </div>
   );
 }
 
+/**
+ * Main App component - hosts the document library and the active document's workspace.
+ * A link naming another document of the library switches to it; a link carrying a map
+ * shows that map read-only until it is saved to the library or left.
+ */
+function App() {
+  const [storage] = useState(() => createStorageAdapter());
+  const library = useDocumentLibrary(storage);
+  const [link, setLink] = useHashLink();
+  // The map embedded in the current link, once decoded: { map, storage } or { map, error }
+  const [shared, setShared] = useState(null);
+
+  useEffect(() => {
+    if (!link.map) return;
+    let cancelled = false;
+    decodeMap(link.map)
+      .then(tree => {
+        const data = normalizeTree(tree);
+        const record = { id: SHARED_DOCUMENT_ID, name: data.title || 'Shared Map', data };
+        if (!cancelled) setShared({ map: link.map, storage: createMemoryAdapter([record]) });
+      })
+      .catch(err => { if (!cancelled) setShared({ map: link.map, error: err.message }); });
+    return () => { cancelled = true; };
+  }, [link.map]);
+
+  // Only a new link switches documents - picking another map in the sidebar leaves `link` behind
+  const linkedDocumentId = library.documents.some(doc => doc.id === link.documentId) ? link.documentId : null;
+  useEffect(() => {
+    if (linkedDocumentId) library.switchDocument(linkedDocumentId);
+  }, [link, linkedDocumentId, library.switchDocument]);
+
+  if (link.map) {
+    if (shared?.map !== link.map) return <div className="app loading"><div className="loading-message">Opening shared map...</div></div>;
+    if (shared.error) {
+      return (
+        <div className="app error">
+          <div className="error-message">
+            Error: {shared.error}
+            <button onClick={() => setLink(emptyLink)}>Open my maps</button>
+          </div>
+        </div>
+      );
+    }
+  }
+  if (library.loading) return <div className="app loading"><div className="loading-message">Loading mind maps...</div></div>;
+  if (library.error || !library.activeDocument) {
+    return <div className="app error"><div className="error-message">Error: {library.error || 'No mind map available'}</div></div>;
+  }
+  if (link.map) {
+    return (
+      <MindMapWorkspace
+        key={`${SHARED_DOCUMENT_ID}:${link.map}`}
+        documentId={SHARED_DOCUMENT_ID}
+        library={library}
+        storage={shared.storage}
+        link={link}
+        onLinkChange={setLink}
+        sharedMap={link.map}
+      />
+    );
+  }
+  return (
+    <MindMapWorkspace
+      key={library.activeDocument.id}
+      documentId={library.activeDocument.id}
+      library={library}
+      storage={storage}
+      link={link}
+      onLinkChange={setLink}
+    />
+  );
+}
+
 export default App;
\ No newline at end of file
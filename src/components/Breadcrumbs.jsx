@@ -0,0 +1,30 @@
+import React from 'react';
+import './Breadcrumbs.css';
+
+/**
+ * Drill-down path from the map's root to the subtree on screen.
+ * Every crumb but the last jumps straight to its level.
+ */
+const Breadcrumbs = ({ crumbs, onSelect }) => (
+  <nav className="breadcrumbs" aria-label="Drill-down path">
+    <ol>
+      {crumbs.map(({ node, depth }, i) => {
+        const title = node.title || 'Untitled';
+        const isCurrent = i === crumbs.length - 1;
+        return (
+          <li key={node.id}>
+            {isCurrent ? (
+              <span className="breadcrumb current" aria-current="location" title={title}>{title}</span>
+            ) : (
+              <button className="breadcrumb" onClick={() => onSelect(depth)} title={`Back to ${title}`}>
+                {title}
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  </nav>
+);
+
+export default Breadcrumbs;
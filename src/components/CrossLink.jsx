@@ -0,0 +1,61 @@
+import React, { memo, useLayoutEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { CROSS_LINK_TYPES, getCrossLinkType } from '../utils/crossLinks';
+
+/**
+ * Curved, dashed edge for a cross-link, drawn over the tree edges with its label at the midpoint.
+ * The arrowhead markers are defined once per type by MindMap.
+ */
+const CrossLink = ({ path, labelX, labelY, type, label, isHighlighted, isDimmed, halo = '#1a1a1a', showLabel = true, animate = true }) => {
+  const pathRef = useRef();
+  const labelRef = useRef();
+  const placedRef = useRef(false);
+  const { color, dash, label: typeLabel } = getCrossLinkType(type);
+  const markerType = CROSS_LINK_TYPES[type] ? type : 'related';
+
+  // Follow the nodes at both ends when the layout changes
+  useLayoutEffect(() => {
+    const pathSelection = d3.select(pathRef.current);
+    const labelSelection = d3.select(labelRef.current);
+    if (!placedRef.current || !animate) {
+      pathSelection.interrupt('move').attr('d', path);
+      labelSelection.interrupt('move').attr('transform', `translate(${labelX}, ${labelY})`);
+      placedRef.current = true;
+      return;
+    }
+    pathSelection.transition('move').duration(500).ease(d3.easeCubicInOut).attr('d', path);
+    labelSelection.transition('move').duration(500).ease(d3.easeCubicInOut)
+      .attr('transform', `translate(${labelX}, ${labelY})`);
+  }, [path, labelX, labelY, animate]);
+
+  return (
+    <g className="cross-link" opacity={isDimmed ? 0.15 : isHighlighted ? 1 : 0.75} pointerEvents="none" aria-hidden="true">
+      <path
+        ref={pathRef}
+        fill="none"
+        stroke={color}
+        strokeWidth={isHighlighted ? 3 : 2}
+        strokeDasharray={dash}
+        markerEnd={`url(#cross-link-arrow-${markerType})`}
+      />
+      <g ref={labelRef}>
+        {showLabel && (
+          <text
+            className="cross-link-label"
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fill={color}
+            fontSize="11px"
+            stroke={halo}
+            strokeWidth="4"
+            paintOrder="stroke"
+          >
+            {label || typeLabel}
+          </text>
+        )}
+      </g>
+    </g>
+  );
+};
+
+export default memo(CrossLink);
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+
+/**
+ * Picker and management actions for the library of named mindmap documents
+ */
+const DocumentSwitcher = ({ library }) => {
+  const {
+    documents,
+    activeDocument,
+    switchDocument,
+    createDocument,
+    renameDocument,
+    duplicateDocument,
+    deleteDocument
+  } = library;
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+  const [startBlank, setStartBlank] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  // Library operations talk to the storage backend, so surface their failures here
+  const runAction = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setActionError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = (formMode) => {
+    setMode(formMode);
+    setName(formMode === 'rename' ? activeDocument.name : '');
+    setStartBlank(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const succeeded = await runAction(() => (mode === 'new'
+      ? createDocument(name, { blank: startBlank })
+      : renameDocument(activeDocument.id, name)));
+    if (succeeded) setMode(null);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${activeDocument.name}"? This cannot be undone.`)) {
+      runAction(() => deleteDocument(activeDocument.id));
+    }
+  };
+
+  return (
+    <div className="document-switcher">
+      <label htmlFor="document-select">Mind Map</label>
+      <select
+        id="document-select"
+        value={activeDocument.id}
+        onChange={(e) => switchDocument(e.target.value)}
+      >
+        {documents.map(doc => <option key={doc.id} value={doc.id}>{doc.name}</option>)}
+      </select>
+
+      {mode ? (
+        <form className="edit-field" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setMode(null)}
+            placeholder="Map name"
+            maxLength={80}
+            autoFocus
+          />
+          {mode === 'new' && (
+            <label className="document-option">
+              <input type="checkbox" checked={startBlank} onChange={(e) => setStartBlank(e.target.checked)} />
+              Start blank instead of from the template
+            </label>
+          )}
+          <div className="edit-actions">
+            <button type="submit" disabled={busy || (mode === 'rename' && !name.trim())}>
+              {mode === 'new' ? 'Create' : 'Rename'}
+            </button>
+            <button type="button" onClick={() => setMode(null)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <div className="document-actions">
+          <button onClick={() => openForm('new')} disabled={busy} title="Create a new map">New</button>
+          <button onClick={() => openForm('rename')} disabled={busy} title="Rename this map">Rename</button>
+          <button
+            onClick={() => runAction(() => duplicateDocument(activeDocument.id))}
+            disabled={busy}
+            title="Duplicate this map"
+          >
+            Duplicate
+          </button>
+          <button onClick={handleDelete} disabled={busy || documents.length <= 1} title="Delete this map">Delete</button>
+        </div>
+      )}
+      {actionError && <div className="document-error" role="alert">{actionError}</div>}
+    </div>
+  );
+};
+
+export default DocumentSwitcher;
@@ -0,0 +1,70 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+// Deeper levels are left to "This branch fully" - showing them all at once is rarely readable
+const MAX_LEVEL = 6;
+
+/**
+ * Toolbar dropdown for opening the map gradually: a number of levels, or one branch
+ */
+const ExpandMenu = ({
+  depth,
+  onExpandToLevel,
+  onExpandBranch,
+  onRevealSelected,
+  canExpandBranch,
+  canRevealSelected
+}) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const run = (action) => {
+    action();
+    setOpen(false);
+  };
+
+  const levels = Array.from({ length: Math.min(depth, MAX_LEVEL) }, (_, i) => i + 1);
+
+  return (
+    <div className="toolbar-menu" ref={menuRef}>
+      <button onClick={() => setOpen(!open)} title="Expand part of the map" aria-expanded={open}>
+        <span aria-hidden="true">⊞</span> Expand ▾
+      </button>
+      {open && (
+        <div className="toolbar-dropdown align-left">
+          <div className="dropdown-section">
+            <span className="dropdown-label">Show levels</span>
+            <div className="dropdown-levels">
+              {levels.map(level => (
+                <button key={level} onClick={() => run(() => onExpandToLevel(level))} title={`Show ${level} level${level === 1 ? '' : 's'} below the top`}>
+                  {level}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="dropdown-section">
+            <button className="dropdown-item" onClick={() => run(onExpandBranch)} disabled={!canExpandBranch}>
+              <strong>This branch fully</strong>
+              <span>Everything below the selected node</span>
+            </button>
+            <button className="dropdown-item" onClick={() => run(onRevealSelected)} disabled={!canRevealSelected}>
+              <strong>Reveal selected</strong>
+              <span>Open the branches leading to it</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpandMenu;
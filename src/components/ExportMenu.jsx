@@ -0,0 +1,97 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const FORMATS = [
+  { id: 'json', label: 'JSON', hint: 'Re-importable data' },
+  { id: 'markdown', label: 'Markdown', hint: 'Outline (.md)' },
+  { id: 'opml', label: 'OPML', hint: 'For outliner apps' },
+  { id: 'html', label: 'Docs', hint: 'HTML document' },
+  { id: 'svg', label: 'SVG', hint: 'Vector image' },
+  { id: 'png', label: 'PNG', hint: 'Raster image' }
+];
+
+/**
+ * Toolbar dropdown for choosing an export format and scope
+ */
+const ExportMenu = ({ onExport, canExportSubtree, selectionCount = 0 }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('all');
+  const [scale, setScale] = useState(2);
+  const menuRef = useRef();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  // Exporting the selection is for several nodes - one node is a subtree, which drilling into covers
+  const canExportSelection = selectionCount > 1;
+  const activeScope = { all: true, subtree: canExportSubtree, selection: canExportSelection }[scope] ? scope : 'all';
+
+  const handleExport = (format) => {
+    onExport(format, { scope: activeScope, scale });
+    setOpen(false);
+  };
+
+  return (
+    <div className="toolbar-menu" ref={menuRef}>
+      <button onClick={() => setOpen(!open)} title="Export map" aria-expanded={open}>
+        <span aria-hidden="true">⬇</span> Export ▾
+      </button>
+      {open && (
+        <div className="toolbar-dropdown">
+          <div className="dropdown-section">
+            <label>
+              <input
+                type="radio"
+                checked={activeScope === 'all'}
+                onChange={() => setScope('all')}
+              />
+              Whole map
+            </label>
+            <label className={canExportSubtree ? '' : 'disabled'}>
+              <input
+                type="radio"
+                checked={activeScope === 'subtree'}
+                onChange={() => setScope('subtree')}
+                disabled={!canExportSubtree}
+              />
+              Current drill-down subtree
+            </label>
+            <label className={canExportSelection ? '' : 'disabled'}>
+              <input
+                type="radio"
+                checked={activeScope === 'selection'}
+                onChange={() => setScope('selection')}
+                disabled={!canExportSelection}
+              />
+              {canExportSelection ? `Selected nodes only (${selectionCount})` : 'Selected nodes only'}
+            </label>
+          </div>
+          <div className="dropdown-section">
+            <label>
+              PNG scale
+              <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+                {[1, 2, 3, 4].map(value => <option key={value} value={value}>{value}x</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="dropdown-section">
+            {FORMATS.map(format => (
+              <button key={format.id} className="dropdown-item" onClick={() => handleExport(format.id)}>
+                <strong>{format.label}</strong>
+                <span>{format.hint}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { getTagColor, TAG_MAX_LENGTH } from '../utils/tags';
+import './FilterPanel.css';
+
+const FILTER_MODES = [
+  { id: 'dim', label: 'Dim others' },
+  { id: 'hide', label: 'Hide others' }
+];
+
+/**
+ * One tag with its count: toggles the filter, or renames the tag everywhere (unless `onRename` is left out).
+ * Renaming onto another existing tag merges the two.
+ */
+const TagRow = ({ tag, count, isActive, otherTags, onToggle, onRename }) => {
+  const [draft, setDraft] = useState(null);
+  const mergesInto = draft !== null && draft.trim() !== tag && otherTags.includes(draft.trim());
+
+  const handleSave = () => {
+    onRename(tag, draft);
+    setDraft(null);
+  };
+
+  if (draft !== null) {
+    return (
+      <li className="tag-row editing">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleSave();
+            } else if (e.key === 'Escape') {
+              e.stopPropagation();
+              setDraft(null);
+            }
+          }}
+          aria-label={`Rename tag ${tag}`}
+          maxLength={TAG_MAX_LENGTH}
+          autoFocus
+        />
+        <button onClick={handleSave}>{mergesInto ? 'Merge' : 'Save'}</button>
+        <button onClick={() => setDraft(null)}>Cancel</button>
+      </li>
+    );
+  }
+
+  return (
+    <li className="tag-row">
+      <button className={`tag-toggle${isActive ? ' active' : ''}`} onClick={onToggle} aria-pressed={isActive}>
+        <span className="tag-swatch" style={{ background: getTagColor(tag) }} aria-hidden="true" />
+        <span className="tag-name">{tag}</span>
+        <span className="tag-count">{count}</span>
+      </button>
+      {onRename && (
+        <button className="tag-rename" onClick={() => setDraft(tag)} title="Rename or merge" aria-label={`Rename tag ${tag}`}>
+          ✎
+        </button>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Map filters: tasks (overdue, assigned to someone) and tags with their node counts.
+ * The map keeps the branches passing every active filter; the rest is dimmed or hidden.
+ */
+const FilterPanel = ({
+  tags,
+  activeTags,
+  onToggleTag,
+  onRenameTag,
+  assignees,
+  taskFilter,
+  onTaskFilterChange,
+  filterMode,
+  onFilterModeChange,
+  onClear
+}) => {
+  const [open, setOpen] = useState(false);
+  const names = tags.map(({ tag }) => tag);
+  const activeCount = activeTags.size + (taskFilter.overdue ? 1 : 0) + (taskFilter.assignee ? 1 : 0);
+
+  return (
+    <div className="filter-panel">
+      <div className="filter-panel-header">
+        <button className="filter-panel-toggle" onClick={() => setOpen(!open)} aria-expanded={open} aria-controls="filter-panel-body">
+          Filters{activeCount > 0 ? ` (${activeCount} active)` : ''}
+        </button>
+        {activeCount > 0 && (
+          <>
+            <select
+              className="filter-mode"
+              value={filterMode}
+              onChange={(e) => onFilterModeChange(e.target.value)}
+              title="How branches outside the filter are shown"
+            >
+              {FILTER_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+            </select>
+            <button className="filter-clear" onClick={onClear}>Clear</button>
+          </>
+        )}
+      </div>
+
+      {open && (
+        <div id="filter-panel-body">
+          <h5 className="filter-heading">Tasks</h5>
+          <div className="task-filter">
+            <label>
+              <input
+                type="checkbox"
+                checked={taskFilter.overdue}
+                onChange={(e) => onTaskFilterChange({ ...taskFilter, overdue: e.target.checked })}
+              />
+              Overdue
+            </label>
+            <select
+              className="filter-mode"
+              value={taskFilter.assignee}
+              onChange={(e) => onTaskFilterChange({ ...taskFilter, assignee: e.target.value })}
+              aria-label="Assigned to"
+              disabled={assignees.length === 0}
+            >
+              <option value="">Assigned to anyone</option>
+              {assignees.map(name => <option key={name} value={name}>Assigned to {name}</option>)}
+            </select>
+          </div>
+
+          <h5 className="filter-heading">Tags</h5>
+          {tags.length === 0 ? (
+            <div className="tag-empty">No tags yet - add them to a node in the sidebar</div>
+          ) : (
+            <ul className="tag-list">
+              {tags.map(({ tag, count }) => (
+                <TagRow
+                  key={tag}
+                  tag={tag}
+                  count={count}
+                  isActive={activeTags.has(tag)}
+                  otherTags={names}
+                  onToggle={() => onToggleTag(tag)}
+                  onRename={onRenameTag}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterPanel;
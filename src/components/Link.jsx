@@ -0,0 +1,35 @@
+import React, { memo, useLayoutEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const Link = ({ sourcePos, targetPos, isHighlighted, isDimmed, color = '#555', animate = true }) => {
+  const lineRef = useRef();
+  const placedRef = useRef(false);
+
+  // Animate the edge alongside its nodes when the layout changes
+  useLayoutEffect(() => {
+    const line = d3.select(lineRef.current);
+    const apply = (selection) => selection
+      .attr('x1', sourcePos.x)
+      .attr('y1', sourcePos.y)
+      .attr('x2', targetPos.x)
+      .attr('y2', targetPos.y);
+
+    if (!placedRef.current || !animate) {
+      apply(line.interrupt('move'));
+      placedRef.current = true;
+      return;
+    }
+    apply(line.transition('move').duration(500).ease(d3.easeCubicInOut));
+  }, [sourcePos.x, sourcePos.y, targetPos.x, targetPos.y, animate]);
+
+  return (
+    <line
+      ref={lineRef}
+      stroke={color}
+      strokeWidth="2"
+      opacity={isDimmed ? 0.15 : isHighlighted ? 1 : 0.6}
+    />
+  );
+};
+
+export default memo(Link);
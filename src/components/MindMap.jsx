@@ -1,36 +1,129 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as d3 from 'd3';
 import Node from './Node';
+import Link from './Link';
+import CrossLink from './CrossLink';
+import NodeContextMenu from './NodeContextMenu';
+import { findNodeById, findAncestors, isInSubtree, countDescendants } from '../utils/tree';
+import { sanitizeInput } from '../utils/text';
+import { calculateLayout as computeLayout } from '../utils/layout';
+import { getThemeColors, getInheritedStyle, getNodeAppearance, getExpandBadge } from '../utils/nodeStyle';
+import { CROSS_LINK_TYPES, collectCrossLinks, layoutCrossLinks } from '../utils/crossLinks';
+import {
+  LARGE_MAP_THRESHOLD,
+  ANIMATION_LIMIT,
+  CULL_MARGIN,
+  getDetailLevel,
+  getViewBounds,
+  containsBounds,
+  cullLayout,
+  cullCrossLinks,
+  createNodeIndex,
+  findNodeAt,
+  toView,
+  fromView
+} from '../utils/viewport';
+import { drawMap } from '../utils/canvasRenderer';
+import { pruneTree } from '../utils/search';
+import { collectTaskProgress, toDateKey } from '../utils/tasks';
 import './MindMap.css';
 
+const SCALE_EXTENT = [0.01, 3];
+
 const MindMap = ({ 
   data, 
   selectedNode, 
+  selectedIds = new Set(),
   onNodeSelect, 
+  onToggleSelect,
+  onSelectNodes,
   onNodeHover, 
   expandedNodes, 
   onToggleExpand,
+  onMoveNode,
+  onMoveNodes,
+  onAddChild,
+  onAddSibling,
+  onDeleteNode,
+  onDeleteSelection,
+  onDuplicate,
+  onRenameNode,
+  onDrillInto,
+  onClipboard,
   drillPath,
-  onFitView 
+  layoutMode,
+  search,
+  tagFilter,
+  taskFilter,
+  theme,
+  renderer = 'svg',
+  linkSourceId,
+  onPickLinkTarget,
+  readOnly = false,
+  onViewChange,
+  onFitView,
+  onRevealNode,
+  onSetView
 }) => {
   const svgRef = useRef();
   const containerRef = useRef();
+  const viewportRef = useRef();
+  const canvasRef = useRef();
+  const editorRef = useRef();
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
-  const [transform, setTransform] = useState(d3.zoomIdentity);
   const [isInitialized, setIsInitialized] = useState(false);
   const [hoveredNode, setHoveredNode] = useState(null);
   const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: '' });
+  const [drag, setDrag] = useState(null);
+  const dragStartRef = useRef(null);
+  const justDraggedRef = useRef(false);
+  // Rubber-band selection box, in screen pixels from the map's top-left corner
+  const [lasso, setLasso] = useState(null);
+  const lassoRef = useRef(null);
+  const lassoStartRef = useRef(null);
+  // The zoom transform lives outside React state: zooming moves the viewport group directly
+  const transformRef = useRef(d3.zoomIdentity);
+  const dimensionsRef = useRef(dimensions);
+  dimensionsRef.current = dimensions;
+  const layoutRef = useRef({ nodes: [], links: [] });
+  const nodeIndexRef = useRef(null);
+  const frameRef = useRef(null);
+  const drawStateRef = useRef(null);
+  const [viewWindow, setViewWindow] = useState(null);
+  const viewWindowRef = useRef(null);
+  const rendererRef = useRef(renderer);
+  rendererRef.current = renderer;
+  const zoomRef = useRef();
+  const pendingFocusRef = useRef(null);
+  const pendingRevealRef = useRef(null);
+  // The latest view asked for through onSetView; one asked for before the first fit replaces it
+  const [viewRequest, setViewRequest] = useState(null);
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  const [editing, setEditing] = useState(null);
+  const editingRef = useRef(null);
+  editingRef.current = editing;
+  // Open node menu: { node, x, y } in screen coordinates
+  const [contextMenu, setContextMenu] = useState(null);
+  const contextMenuRef = useRef(null);
+  contextMenuRef.current = contextMenu;
 
-  const BASE_RADIUS = 180;
-  const LEVEL_GAP = 150;
-  const NODE_PADDING = 20;
+  // Search, tag and task filtering: 'dim' fades and 'hide' drops every branch without a match.
+  // Several can be on at once - a branch then has to pass each of them.
+  const matchIds = search?.matchIds;
+  const filters = useMemo(
+    () => [search, tagFilter, taskFilter].filter(filter => filter?.matchIds?.size && filter.filterMode !== 'off'),
+    [search, tagFilter, taskFilter]
+  );
+  const isHiding = filters.some(filter => filter.filterMode === 'hide');
 
-  const getSubtreeSize = useCallback((node) => {
-    if (!node.children || !expandedNodes.has(node.id)) return 1;
-    return 1 + node.children.reduce((sum, child) => sum + getSubtreeSize(child), 0);
-  }, [expandedNodes]);
+  // Task roll-ups cover the whole tree, whatever the filters hide
+  const taskProgress = useMemo(() => collectTaskProgress(data), [data]);
+  // So do the counts on collapsed nodes
+  const descendantCounts = useMemo(() => countDescendants(data), [data]);
+  const today = toDateKey(new Date());
 
-  const getCurrentRoot = useCallback(() => {
+  const drillRoot = useMemo(() => {
     if (!data || drillPath.length === 0) return data;
     let current = data;
     for (const nodeId of drillPath) {
@@ -40,91 +133,31 @@ const MindMap = ({
     return current;
   }, [data, drillPath]);
 
-  const findNodeById = (node, id) => {
-    if (node.id === id) return node;
-    if (node.children) {
-      for (const child of node.children) {
-        const found = findNodeById(child, id);
-        if (found) return found;
-      }
-    }
-    return null;
-  };
-
-  const calculateLayout = useCallback((rootNode) => {
-    if (!rootNode) return { nodes: [], links: [] };
-
-    const nodes = [];
-    const links = [];
-
-    const layoutNode = (
-      node,
-      level,
-      parentPos,
-      startAngle,
-      endAngle,
-      parentId = null
-    ) => {
-      const angle = (startAngle + endAngle) / 2;
-      const radius = level === 0 ? 0 : BASE_RADIUS + level * LEVEL_GAP;
-
-      const x = parentPos.x + Math.cos(angle) * radius;
-      const y = parentPos.y + Math.sin(angle) * radius;
-
-      const baseSizes = [70, 55, 45, 35];
-      const nodeRadius =
-        baseSizes[Math.min(level, baseSizes.length - 1)] +
-        Math.min((node.title || "").length * 1.2, 20);
-
-      nodes.push({
-        ...node,
-        x,
-        y,
-        level,
-        radius: nodeRadius,
-        _expanded: expandedNodes.has(node.id)
-      });
-
-      if (parentId) {
-        links.push({
-          source: parentId,
-          target: node.id,
-          sourcePos: parentPos,
-          targetPos: { x, y }
-        });
-      }
-
-      if (!node.children || !expandedNodes.has(node.id)) return;
-
-      // 🔥 SUBTREE-AWARE ANGULAR DISTRIBUTION
-      const totalWeight = node.children.reduce(
-        (sum, c) => sum + getSubtreeSize(c),
-        0
-      );
-
-      let currentAngle = startAngle;
+  const currentRoot = useMemo(() => {
+    if (!drillRoot) return drillRoot;
+    return filters
+      .filter(filter => filter.filterMode === 'hide')
+      .reduce((root, filter) => pruneTree(root, new Set([...filter.matchIds, ...filter.ancestorIds])), drillRoot);
+  }, [drillRoot, filters]);
 
-      node.children.forEach((child) => {
-        const weight = getSubtreeSize(child);
-        const slice = (endAngle - startAngle) * (weight / totalWeight);
-
-        layoutNode(
-          child,
-          level + 1,
-          { x, y },
-          currentAngle,
-          currentAngle + slice,
-          node.id
-        );
-
-        currentAngle += slice;
-      });
-    };
+  // While filtering, matches inside collapsed branches are shown without touching the saved expansion
+  const layoutExpanded = useMemo(
+    () => (filters.length === 0
+      ? expandedNodes
+      : new Set([expandedNodes, ...filters.map(filter => filter.ancestorIds)].flatMap(ids => [...ids]))),
+    [filters, expandedNodes]
+  );
 
-    layoutNode(rootNode, 0, { x: 0, y: 0 }, 0, Math.PI * 2);
+  // A drilled-into subtree still inherits the styles its ancestors pass down
+  const drillStyle = useMemo(
+    () => (drillRoot && drillRoot !== data ? getInheritedStyle(findAncestors(data, drillRoot.id)) : {}),
+    [data, drillRoot]
+  );
 
-    return { nodes, links };
-  }, [expandedNodes, getSubtreeSize]);
+  const calculateLayout = useCallback(
+    (rootNode) => computeLayout(layoutMode, rootNode, layoutExpanded, drillStyle),
+    [layoutMode, layoutExpanded, drillStyle]
+  );
 
   useEffect(() => {
     const handleResize = () => {
@@ -138,27 +171,128 @@ const MindMap = ({
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Convert a pointer position to mindmap (layout) coordinates
+  const toMapPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const [x, y] = transformRef.current.invert([event.clientX - rect.left, event.clientY - rect.top]);
+    return { x, y };
+  };
+
+  // The node under the pointer, for the canvas renderer where nodes are not DOM elements
+  const hitTest = (event) => {
+    if (!nodeIndexRef.current) return null;
+    const { x, y } = toMapPoint(event);
+    return findNodeAt(nodeIndexRef.current, x, y);
+  };
+
+  // The node whose expand badge is under the pointer - on the canvas, badges are pixels too
+  const badgeHitTest = (event) => {
+    const { nodes: layoutNodes } = layoutRef.current;
+    if (layoutNodes.length > LARGE_MAP_THRESHOLD && getDetailLevel(transformRef.current.k) !== 'full') return null;
+    const { x, y } = toMapPoint(event);
+    return layoutNodes.find(node => {
+      if (!node.children?.length) return false;
+      const badge = getExpandBadge(getNodeAppearance(node, theme), node._expanded, descendantCounts.get(node.id));
+      return Math.abs(x - node.x - badge.x) <= badge.width / 2 && Math.abs(y - node.y - badge.y) <= badge.height / 2;
+    }) || null;
+  };
+
+  // Large maps only render what is near the viewport; recompute the window once the view
+  // leaves it or crosses a level-of-detail threshold
+  const getViewWindow = (current) => {
+    const { width, height } = dimensionsRef.current;
+    const transform = transformRef.current;
+    const detail = getDetailLevel(transform.k);
+    if (current && current.detail === detail &&
+      containsBounds(current.bounds, getViewBounds(transform, width, height))) return current;
+    return { bounds: getViewBounds(transform, width, height, CULL_MARGIN), detail };
+  };
+
+  const updateViewWindow = useCallback(() => {
+    const next = getViewWindow(viewWindowRef.current);
+    if (next === viewWindowRef.current) return;
+    viewWindowRef.current = next;
+    setViewWindow(next);
+  }, []);
+
+  const drawCanvas = useCallback(() => {
+    const canvas = canvasRef.current;
+    const state = drawStateRef.current;
+    if (!canvas || !state) return;
+    const { width, height } = dimensionsRef.current;
+    const transform = transformRef.current;
+    const bounds = getViewBounds(transform, width, height, 50);
+    const visible = cullLayout(layoutRef.current, bounds, new Set());
+    drawMap(canvas.getContext('2d'), {
+      ...state,
+      ...visible,
+      crossLinks: cullCrossLinks(state.crossLinks, bounds),
+      transform,
+      width,
+      height,
+      pixelRatio: window.devicePixelRatio || 1,
+      detail: layoutRef.current.nodes.length > LARGE_MAP_THRESHOLD ? getDetailLevel(transform.k) : 'full'
+    });
+  }, []);
+
+  // Zoom work is batched to one animation frame
+  const scheduleFrame = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      if (rendererRef.current === 'canvas') drawCanvas();
+      else if (layoutRef.current.nodes.length > LARGE_MAP_THRESHOLD) updateViewWindow();
+    });
+  }, [drawCanvas, updateViewWindow]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  const getEditorStyle = (node, transform) => {
+    const [left, top] = transform.apply([node.x, node.y]);
+    return { left, top, width: Math.max(140, node.radius * 2 * transform.k) };
+  };
+
   useEffect(() => {
     const svg = d3.select(svgRef.current);
     
+    // Gestures that start on a node are drags, not pans
     const zoom = d3.zoom()
-      .scaleExtent([0.1, 3])
-      .on('zoom', (event) => setTransform(event.transform));
+      .scaleExtent(SCALE_EXTENT)
+      .filter((event) => (!(event.ctrlKey || event.metaKey || event.shiftKey) || event.type === 'wheel') && !event.button &&
+        (event.type === 'wheel' || (!event.target.closest('.mindmap-node') &&
+          !(rendererRef.current === 'canvas' && hitTest(event)))))
+      // A menu left open would float over the wrong place once the map moves
+      .on('start', (event) => {
+        if (event.sourceEvent) setContextMenu(null);
+      })
+      .on('zoom', (event) => {
+        transformRef.current = event.transform;
+        viewportRef.current?.setAttribute('transform', event.transform.toString());
+        const editingNode = editingNodeRef.current;
+        if (editingNode && editorRef.current) {
+          const { left, top, width } = getEditorStyle(editingNode, event.transform);
+          Object.assign(editorRef.current.style, { left: `${left}px`, top: `${top}px`, width: `${width}px` });
+        }
+        scheduleFrame();
+      })
+      .on('end', (event) => {
+        const { width, height } = dimensionsRef.current;
+        onViewChangeRef.current?.(toView(event.transform, width, height));
+      });
     
     svg.call(zoom);
+    zoomRef.current = zoom;
     
     onFitView.current = () => {
-      const currentRoot = getCurrentRoot();
-      if (!currentRoot) return;
-      
-      const { nodes } = calculateLayout(currentRoot);
+      const { nodes } = layoutRef.current;
       if (nodes.length === 0) return;
       
+      // Bounds include each node's radius so every layout mode fits completely
       const bounds = nodes.reduce((acc, node) => ({
-        minX: Math.min(acc.minX, node.x - 50),
-        maxX: Math.max(acc.maxX, node.x + 50),
-        minY: Math.min(acc.minY, node.y - 50),
-        maxY: Math.max(acc.maxY, node.y + 50)
+        minX: Math.min(acc.minX, node.x - node.radius - 20),
+        maxX: Math.max(acc.maxX, node.x + node.radius + 20),
+        minY: Math.min(acc.minY, node.y - node.radius - 20),
+        maxY: Math.max(acc.maxY, node.y + node.radius + 20)
       }), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
       
       const width = bounds.maxX - bounds.minX;
@@ -174,28 +308,413 @@ const MindMap = ({
         .duration(750)
         .call(zoom.transform, d3.zoomIdentity.translate(translateX, translateY).scale(scale));
     };
-  }, [dimensions, getCurrentRoot, calculateLayout, onFitView]);
+    scheduleFrame();
+  }, [dimensions, onFitView, scheduleFrame]);
+
+  // Show a view given as { x, y, k } - the map point to center and the zoom scale
+  const showView = useCallback((view, duration = 0) => {
+    const { width, height } = dimensionsRef.current;
+    const k = Math.min(SCALE_EXTENT[1], Math.max(SCALE_EXTENT[0], view.k));
+    d3.select(svgRef.current)
+      .transition()
+      .duration(duration)
+      .call(zoomRef.current.transform, fromView({ ...view, k }, width, height));
+  }, []);
+
+  useEffect(() => {
+    if (onSetView) onSetView.current = (view) => setViewRequest({ view });
+  }, [onSetView]);
 
+  // The first view is the one asked for, otherwise the whole map
   useEffect(() => {
     if (data && dimensions.width > 0 && onFitView.current && !isInitialized) {
-      setTimeout(() => {
-        onFitView.current();
+      const timer = setTimeout(() => {
+        if (viewRequest) showView(viewRequest.view);
+        else onFitView.current();
         setIsInitialized(true);
       }, 200);
+      return () => clearTimeout(timer);
+    }
+  }, [data, dimensions, isInitialized, viewRequest, showView]);
+
+  // Re-fit after switching layout mode; nodes animate to their new positions meanwhile
+  const previousLayoutMode = useRef(layoutMode);
+  useEffect(() => {
+    if (previousLayoutMode.current === layoutMode) return;
+    previousLayoutMode.current = layoutMode;
+    onFitView.current?.();
+  }, [layoutMode, onFitView]);
+
+  // Center the view on a node; with onlyIfHidden, leave the view alone while it is on screen
+  const panToNode = useCallback((nodeId, { onlyIfHidden = false } = {}) => {
+    const target = layoutRef.current.nodes.find(n => n.id === nodeId);
+    if (!target || !zoomRef.current) return;
+    const current = transformRef.current;
+    const [screenX, screenY] = current.apply([target.x, target.y]);
+    const margin = target.radius * current.k + 20;
+    const visible = screenX > margin && screenX < dimensions.width - margin &&
+      screenY > margin && screenY < dimensions.height - margin;
+    if (onlyIfHidden && visible) return;
+    d3.select(svgRef.current)
+      .transition()
+      .duration(500)
+      .call(zoomRef.current.translateTo, target.x, target.y);
+  }, [dimensions]);
+
+  // Search results pan to their node; one that is not laid out yet is panned to after it appears
+  useEffect(() => {
+    if (!onRevealNode) return;
+    onRevealNode.current = (nodeId) => {
+      if (layoutRef.current.nodes.some(n => n.id === nodeId)) panToNode(nodeId);
+      else pendingRevealRef.current = nodeId;
+    };
+  }, [onRevealNode, panToNode]);
+
+  useEffect(() => {
+    const nodeId = pendingRevealRef.current;
+    if (nodeId && layoutRef.current.nodes.some(n => n.id === nodeId)) {
+      pendingRevealRef.current = null;
+      panToNode(nodeId);
+    }
+  });
+
+  // Move keyboard focus to a node once it has been rendered (it may still be appearing)
+  useEffect(() => {
+    const nodeId = pendingFocusRef.current;
+    if (!nodeId || editing) return;
+    const element = svgRef.current.querySelector(`[data-node-id="${CSS.escape(nodeId)}"]`);
+    if (!element) return;
+    pendingFocusRef.current = null;
+    element.focus();
+    panToNode(nodeId, { onlyIfHidden: true });
+  });
+
+  const startEditing = (nodeId, value) => {
+    if (!nodeId) return;
+    setEditing({ nodeId, value: value || '' });
+  };
+
+  // Read through a ref so the blur fired while the editor unmounts cannot commit twice
+  const finishEditing = (commit) => {
+    const current = editingRef.current;
+    if (!current) return;
+    editingRef.current = null;
+    const title = sanitizeInput(current.value);
+    if (commit && title) onRenameNode(current.nodeId, title);
+    pendingFocusRef.current = current.nodeId;
+    setEditing(null);
+  };
+
+  // Keyboard navigation and editing, active while a node has focus
+  const handleKeyDown = (e) => {
+    if (editing || e.target.tagName === 'INPUT' || e.altKey || e.ctrlKey || e.metaKey) return;
+    const layoutNodes = layoutRef.current.nodes;
+    const current = layoutNodes.find(n => n.id === selectedNode?.id) || layoutNodes[0];
+    if (!current) return;
+
+    const parent = current.parentId ? layoutNodes.find(n => n.id === current.parentId) : null;
+    const siblings = parent ? parent.children : [current];
+    const index = siblings.findIndex(child => child.id === current.id);
+    const select = (node) => {
+      pendingFocusRef.current = node.id;
+      onNodeSelect(node);
+    };
+    const isMultiSelect = selectedIds.size > 1;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        if (parent) select(parent);
+        break;
+      case 'ArrowRight':
+        if (current.children?.length) {
+          if (!current._expanded) onToggleExpand(current.id);
+          select(current.children[0]);
+        }
+        break;
+      case 'ArrowUp':
+        if (index > 0) select(siblings[index - 1]);
+        break;
+      case 'ArrowDown':
+        if (index < siblings.length - 1) select(siblings[index + 1]);
+        break;
+      case 'Enter':
+        // While picking a cross-link target, Enter picks the focused node
+        if (linkSourceId) onPickLinkTarget(current);
+        else if (readOnly) return;
+        else if (!e.shiftKey) startEditing(current.id, current.title);
+        else if (parent) startEditing(onAddSibling(current.id), 'New Node');
+        break;
+      case 'Tab':
+        // Shift+Tab keeps its usual meaning of moving focus backwards
+        if (e.shiftKey || readOnly) return;
+        startEditing(onAddChild(current.id), 'New Node');
+        break;
+      case 'Delete':
+      case 'Backspace':
+        if (readOnly) return;
+        if (isMultiSelect) {
+          onDeleteSelection();
+          select(layoutNodes[0]);
+        } else if (parent) {
+          onDeleteNode(current.id);
+          select(parent);
+        }
+        break;
+      case 'Escape':
+        // Back to just the focused node
+        if (!isMultiSelect) return;
+        select(current);
+        break;
+      case ' ':
+        if (current.children?.length) onToggleExpand(current.id);
+        break;
+      case 'F10':
+        if (!e.shiftKey) return;
+        openContextMenuAtNode(current);
+        break;
+      case 'ContextMenu':
+        openContextMenuAtNode(current);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // Hit-test the layout: the inner part of a node means "move under it",
+  // its outer ring means "insert next to it" among its siblings
+  const findDropTarget = (point, draggedNodes) => {
+    const node = nodeIndexRef.current && findNodeAt(nodeIndexRef.current, point.x, point.y);
+    if (!node) return null;
+    const dx = point.x - node.x;
+    const dy = point.y - node.y;
+    const distance = Math.hypot(dx, dy);
+
+    if (draggedNodes.some(dragged => isInSubtree(dragged, node.id))) return { node, position: 'invalid' };
+    if (!node.parentId || distance <= node.radius * 0.6) {
+      return { node, position: 'child', parentId: node.id };
     }
-  }, [data, dimensions, isInitialized]);
 
-  const handleNodeClick = (node) => {
-    onNodeSelect(node);
+    // Sibling order runs from the previous sibling towards the next one
+    const siblings = layoutRef.current.nodes.filter(n => n.parentId === node.parentId);
+    const index = siblings.findIndex(n => n.id === node.id);
+    const prev = siblings[index - 1] || node;
+    const next = siblings[index + 1] || node;
+    const before = (next.x - prev.x) * dx + (next.y - prev.y) * dy < 0;
+    return {
+      node,
+      position: before ? 'before' : 'after',
+      parentId: node.parentId,
+      index: before ? index : index + 1
+    };
+  };
+
+  // Dragging one of several selected nodes moves them all (except the root, which stays put)
+  const handleNodeDragStart = (node, event) => {
+    if (event.button !== 0 || !node.parentId) return;
+    const nodes = selectedIds.size > 1 && selectedIds.has(node.id)
+      ? [...selectedIds].filter(id => id !== data.id).map(id => findNodeById(data, id)).filter(Boolean)
+      : [node];
+    dragStartRef.current = { node, nodes, clientX: event.clientX, clientY: event.clientY };
+  };
+
+  useEffect(() => {
+    const handleMouseMove = (event) => {
+      const start = dragStartRef.current;
+      if (!start) return;
+      if (!start.active) {
+        const moved = Math.hypot(event.clientX - start.clientX, event.clientY - start.clientY);
+        if (moved < 5) return;
+        start.active = true;
+        setTooltip({ show: false, x: 0, y: 0, content: '' });
+      }
+      const point = toMapPoint(event);
+      setDrag({
+        node: start.node,
+        ids: new Set(start.nodes.map(node => node.id)),
+        ...point,
+        target: findDropTarget(point, start.nodes)
+      });
+    };
+
+    const handleMouseUp = (event) => {
+      const start = dragStartRef.current;
+      dragStartRef.current = null;
+      if (!start?.active) return;
+
+      justDraggedRef.current = true;
+      setTimeout(() => { justDraggedRef.current = false; }, 0);
+      setDrag(null);
+
+      const target = findDropTarget(toMapPoint(event), start.nodes);
+      if (!target || target.position === 'invalid') return;
+      if (start.nodes.length > 1) onMoveNodes(start.nodes.map(node => node.id), target.parentId, target.index);
+      else onMoveNode(start.node.id, target.parentId, target.index);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [onMoveNode, onMoveNodes]);
+
+  // Shift/Ctrl-drag on empty space draws a lasso; the nodes whose centers it encloses join the selection
+  const startLasso = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    lassoStartRef.current = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    event.preventDefault();
+  };
+
+  useEffect(() => {
+    const handleMouseMove = (event) => {
+      const start = lassoStartRef.current;
+      if (!start) return;
+      const rect = svgRef.current.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      lassoRef.current = {
+        left: Math.min(start.x, x),
+        top: Math.min(start.y, y),
+        width: Math.abs(x - start.x),
+        height: Math.abs(y - start.y)
+      };
+      setLasso(lassoRef.current);
+    };
+
+    const handleMouseUp = () => {
+      const box = lassoRef.current;
+      lassoStartRef.current = null;
+      lassoRef.current = null;
+      if (!box) return;
+      setLasso(null);
+      // The click that ends the lasso must not select the node it ends on
+      justDraggedRef.current = true;
+      setTimeout(() => { justDraggedRef.current = false; }, 0);
+      const [minX, minY] = transformRef.current.invert([box.left, box.top]);
+      const [maxX, maxY] = transformRef.current.invert([box.left + box.width, box.top + box.height]);
+      const enclosed = layoutRef.current.nodes.filter(node => node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY);
+      if (enclosed.length) onSelectNodes(enclosed.map(node => node.id));
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [onSelectNodes]);
+
+  // Clicking selects; expanding is left to double-click and the expand badge so reading a node doesn't move the map.
+  // Shift/Ctrl/Cmd-click adds the node to the selection or takes it out.
+  const handleNodeClick = (node, event) => {
+    if (justDraggedRef.current) return;
+    if (linkSourceId) {
+      onPickLinkTarget(node);
+      return;
+    }
+    if (event && (event.shiftKey || event.ctrlKey || event.metaKey)) onToggleSelect(node);
+    else onNodeSelect(node);
+  };
+
+  const handleNodeToggle = (node) => {
+    if (justDraggedRef.current || linkSourceId || !node.children?.length) return;
     onToggleExpand(node.id);
   };
 
+  // Right-clicking one of several selected nodes keeps the selection, so the menu can delete them all
+  const openContextMenu = (node, x, y) => {
+    setTooltip({ show: false, x: 0, y: 0, content: '' });
+    if (!(selectedIds.size > 1 && selectedIds.has(node.id))) onNodeSelect(node);
+    setContextMenu({ node, x, y });
+  };
+
+  // From the keyboard, the menu opens at the node's center
+  const openContextMenuAtNode = (node) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const [screenX, screenY] = transformRef.current.apply([node.x, node.y]);
+    openContextMenu(node, rect.left + screenX, rect.top + screenY);
+  };
+
+  const closeContextMenu = useCallback((restoreFocus) => {
+    if (restoreFocus && contextMenuRef.current) pendingFocusRef.current = contextMenuRef.current.node.id;
+    setContextMenu(null);
+  }, []);
+
+  // A read-only map keeps the actions that don't change it. Nodes without a parent on screen
+  // (the root, or the root of a drill-down) can't get siblings or be removed, as with the keyboard.
+  // Opened on one of several selected nodes, copying, duplicating and removing act on all of them.
+  const getContextMenuItems = (node) => {
+    const parent = node.parentId && layoutRef.current.nodes.find(n => n.id === node.parentId);
+    const focus = (nodeId) => { pendingFocusRef.current = nodeId; };
+    const inSelection = selectedIds.size > 1 && selectedIds.has(node.id);
+    const selection = inSelection ? ` ${selectedIds.size} selected` : '';
+    const viewing = [
+      {
+        id: 'drill',
+        label: 'Drill into',
+        disabled: !node.children?.length || node.id === drillRoot?.id,
+        onSelect: () => onDrillInto(node.id)
+      },
+      { id: 'copy', label: `Copy${selection}`, hint: 'Ctrl+C', onSelect: () => onClipboard('copy') }
+    ];
+    if (readOnly) return viewing;
+    const deleteItem = inSelection ? {
+      id: 'delete',
+      label: `Delete ${selectedIds.size} selected`,
+      hint: 'Del',
+      onSelect: () => {
+        onDeleteSelection();
+        focus(layoutRef.current.nodes[0].id);
+        onNodeSelect(layoutRef.current.nodes[0]);
+      }
+    } : {
+      id: 'delete',
+      label: 'Delete',
+      hint: 'Del',
+      disabled: !parent,
+      onSelect: () => {
+        onDeleteNode(node.id);
+        focus(parent.id);
+        onNodeSelect(parent);
+      }
+    };
+    return [
+      { id: 'add-child', label: 'Add child', hint: 'Tab', onSelect: () => startEditing(onAddChild(node.id), 'New Node') },
+      {
+        id: 'add-sibling',
+        label: 'Add sibling',
+        hint: 'Shift+Enter',
+        disabled: !parent,
+        onSelect: () => startEditing(onAddSibling(node.id), 'New Node')
+      },
+      {
+        id: 'duplicate',
+        label: inSelection ? `Duplicate${selection}` : 'Duplicate subtree',
+        hint: 'Ctrl+D',
+        disabled: !inSelection && !parent,
+        onSelect: () => focus(onDuplicate()[0])
+      },
+      ...viewing,
+      {
+        id: 'cut',
+        label: `Cut${selection}`,
+        hint: 'Ctrl+X',
+        disabled: inSelection ? selectedIds.has(data.id) : !parent,
+        onSelect: () => onClipboard('cut')
+      },
+      { id: 'paste', label: 'Paste', hint: 'Ctrl+V', onSelect: () => onClipboard('paste') },
+      deleteItem
+    ];
+  };
+
   const handleNodeHover = (node, event) => {
     setHoveredNode(node);
     onNodeHover(node);
     if (event) {
       setTooltip({
-        show: true,
+        show: Boolean(node.summary),
         x: event.clientX + 10,
         y: event.clientY - 10,
         content: node.summary
@@ -203,62 +722,387 @@ const MindMap = ({
     }
   };
 
+  // Keyboard focus shows the same tooltip, anchored beside the node
+  const handleNodeFocus = (node) => {
+    const target = layoutRef.current.nodes.find(n => n.id === node.id);
+    if (!target || !node.summary || dragStartRef.current) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    const current = transformRef.current;
+    const [screenX, screenY] = current.apply([target.x, target.y]);
+    setTooltip({
+      show: true,
+      x: rect.left + screenX + target.radius * current.k + 10,
+      y: rect.top + screenY - 10,
+      content: node.summary
+    });
+  };
+
+  const handleNodeBlur = () => setTooltip({ show: false, x: 0, y: 0, content: '' });
+
   const handleNodeHoverOut = () => {
     setHoveredNode(null);
     onNodeHover(null);
     setTooltip({ show: false, x: 0, y: 0, content: '' });
   };
 
-  const currentRoot = getCurrentRoot();
-  const { nodes, links } = useMemo(() => calculateLayout(currentRoot), [currentRoot, calculateLayout]);
+  const layout = useMemo(() => calculateLayout(currentRoot), [currentRoot, calculateLayout]);
+  const { nodes, links } = layout;
+  layoutRef.current = layout;
+  nodeIndexRef.current = useMemo(() => createNodeIndex(nodes), [nodes]);
+
+  // Cross-links come from the whole document but are drawn only when both ends are laid out
+  const documentCrossLinks = useMemo(() => collectCrossLinks(data), [data]);
+  const crossLinks = useMemo(
+    () => layoutCrossLinks(documentCrossLinks, new Map(nodes.map(node => [node.id, node]))),
+    [documentCrossLinks, nodes]
+  );
+
+  const editingNode = editing && nodes.find(n => n.id === editing.nodeId);
+  const editingNodeRef = useRef(null);
+  editingNodeRef.current = editingNode;
+  const focusableId = (selectedNode && nodes.some(n => n.id === selectedNode.id)) ? selectedNode.id : nodes[0]?.id;
+
+  // Large maps: render only what is near the viewport, with fewer details when zoomed out
+  const isLarge = nodes.length > LARGE_MAP_THRESHOLD;
+  const animate = nodes.length <= ANIMATION_LIMIT && renderer === 'svg';
+  // Zooming a small map does not track the window, so it is re-checked when rendering
+  const cullWindow = isLarge && renderer === 'svg' ? getViewWindow(viewWindow) : null;
+  useEffect(() => {
+    if (!cullWindow || cullWindow === viewWindow) return;
+    viewWindowRef.current = cullWindow;
+    setViewWindow(cullWindow);
+  });
+  const detail = cullWindow ? cullWindow.detail : 'full';
+
+  // Zoom into or out of the subtree when the drill level changes. Nodes glide to their new places
+  // while the view follows them; where they jump instead (large maps, canvas), the view jumps with
+  // them first, so the node both levels show stays where it was on screen.
+  const drillRootId = drillRoot?.id;
+  const drillFromRef = useRef(null);
+  useEffect(() => {
+    const from = drillFromRef.current;
+    if (!from || from.id === drillRootId || !isInitialized) return;
+    const previous = new Map(from.nodes.map(node => [node.id, node]));
+    const anchor = nodes.find(node => node.id === from.id && previous.has(node.id)) ||
+      nodes.find(node => node.id === drillRootId && previous.has(node.id));
+    if (!animate && anchor) {
+      const before = previous.get(anchor.id);
+      const { x, y, k } = transformRef.current;
+      d3.select(svgRef.current)
+        .interrupt()
+        .call(zoomRef.current.transform, d3.zoomIdentity.translate(x + (before.x - anchor.x) * k, y + (before.y - anchor.y) * k).scale(k));
+    }
+    onFitView.current?.();
+  }, [drillRootId]);
+
+  // Declared after the effect above so that it still sees the level being left
+  useEffect(() => {
+    drillFromRef.current = { id: drillRootId, nodes };
+  });
+
+  // A view asked for in the same update as a drill wins over the drill's zoom
+  useEffect(() => {
+    if (viewRequest && isInitialized) showView(viewRequest.view, 500);
+  }, [viewRequest]);
+
+  // Nodes that must stay in the DOM wherever they are: focus, editing and drag depend on them
+  const pinnedIds = new Set([focusableId, editing?.nodeId, drag?.node.id].filter(Boolean));
+  let rendered = { ...layout, crossLinks };
+  if (renderer === 'canvas') {
+    rendered = { nodes: nodes.filter(node => pinnedIds.has(node.id)), links: [], crossLinks: [] };
+  } else if (cullWindow) {
+    rendered = { ...cullLayout(layout, cullWindow.bounds, pinnedIds), crossLinks: cullCrossLinks(crossLinks, cullWindow.bounds) };
+  }
+
+  // Position of each visible node among its siblings, for the ARIA tree
+  const treePositions = useMemo(() => {
+    const positions = new Map();
+    nodes.forEach(node => {
+      if (!node.parentId) positions.set(node.id, { posinset: 1, setsize: 1 });
+      if (!node._expanded) return;
+      (node.children || []).forEach((child, i) => {
+        positions.set(child.id, { posinset: i + 1, setsize: node.children.length });
+      });
+    });
+    return positions;
+  }, [nodes]);
+
+  // Spoken through the live region whenever the selection (or its expanded state) changes
+  const selectedLayoutNode = selectedNode && nodes.find(n => n.id === selectedNode.id);
+  let announcement = '';
+  if (selectedLayoutNode) {
+    const { posinset, setsize } = treePositions.get(selectedLayoutNode.id);
+    const childCount = selectedLayoutNode.children?.length || 0;
+    announcement = [
+      `${selectedLayoutNode.title || 'Untitled'} selected`,
+      `level ${selectedLayoutNode.level + 1}`,
+      `${posinset} of ${setsize}`,
+      childCount ? `${childCount} ${childCount === 1 ? 'child' : 'children'}, ${selectedLayoutNode._expanded ? 'expanded' : 'collapsed'}` : null
+    ].filter(Boolean).join(', ');
+  } else if (selectedNode) {
+    announcement = `${selectedNode.title || 'Untitled'} selected`;
+  }
+  if (selectedIds.size > 1) announcement = `${selectedIds.size} nodes selected, ${announcement}`;
+
+  const themeColors = getThemeColors(theme);
+
+  // Nodes can't be moved in a read-only map, nor while a filter hides part of the tree
+  const canDrag = !readOnly && !isHiding;
+
+  const isDimmed = (nodeId) => filters.some(filter =>
+    filter.filterMode === 'dim' && !filter.matchIds.has(nodeId) && !filter.ancestorIds.has(nodeId)
+  );
+
+  // Canvas mode: redraw after every render (renders are rare - zoom redraws on its own)
+  drawStateRef.current = {
+    theme,
+    selectedIds,
+    hoveredId: hoveredNode?.id,
+    taskProgress,
+    descendantCounts,
+    today,
+    crossLinks,
+    matchIds,
+    isDimmed
+  };
+  useEffect(() => {
+    if (renderer === 'canvas') drawCanvas();
+  });
+
+  // Node handlers stay the same function across renders so memoized nodes can skip re-rendering
+  const handlersRef = useRef(null);
+  handlersRef.current = {
+    click: handleNodeClick,
+    toggle: handleNodeToggle,
+    contextMenu: (node, event) => openContextMenu(node, event.clientX, event.clientY),
+    hover: handleNodeHover,
+    hoverOut: handleNodeHoverOut,
+    focus: handleNodeFocus,
+    blur: handleNodeBlur,
+    dragStart: handleNodeDragStart
+  };
+  const nodeHandlers = useMemo(() => ({
+    onClick: (...args) => handlersRef.current.click(...args),
+    onToggle: (...args) => handlersRef.current.toggle(...args),
+    onContextMenu: (...args) => handlersRef.current.contextMenu(...args),
+    onHover: (...args) => handlersRef.current.hover(...args),
+    onHoverOut: (...args) => handlersRef.current.hoverOut(...args),
+    onFocusNode: (...args) => handlersRef.current.focus(...args),
+    onBlurNode: (...args) => handlersRef.current.blur(...args),
+    onDragStart: (...args) => handlersRef.current.dragStart(...args)
+  }), []);
+
+  // Presses on empty space start a lasso; on the canvas, pressing a node starts dragging it
+  const handleMouseDown = (e) => {
+    if (e.button !== 0 || e.target.closest('.mindmap-node')) return;
+    const hit = renderer === 'canvas' && hitTest(e);
+    if (hit) {
+      if (canDrag) handleNodeDragStart(hit, e);
+    } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      startLasso(e);
+    }
+  };
+
+  // Canvas mode hit-tests the pointer itself, since its nodes are pixels
+  const canvasPointerHandlers = renderer === 'canvas' ? {
+    onClick: (e) => {
+      if (e.target.closest('.mindmap-node')) return;
+      const badgeNode = badgeHitTest(e);
+      if (badgeNode) handleNodeToggle(badgeNode);
+      else if (hitTest(e)) handleNodeClick(hitTest(e), e);
+    },
+    onDoubleClick: (e) => {
+      const hit = !e.target.closest('.mindmap-node') && !badgeHitTest(e) && hitTest(e);
+      if (hit) handleNodeToggle(hit);
+    },
+    onContextMenu: (e) => {
+      const hit = !e.target.closest('.mindmap-node') && hitTest(e);
+      if (!hit) return;
+      e.preventDefault();
+      openContextMenu(hit, e.clientX, e.clientY);
+    },
+    onMouseMove: (e) => {
+      if (dragStartRef.current?.active) return;
+      const hit = hitTest(e);
+      if (hit?.id === hoveredNode?.id) return;
+      if (hit) handleNodeHover(hit, e);
+      else handleNodeHoverOut();
+    },
+    onMouseLeave: handleNodeHoverOut
+  } : {};
+
+  const dropLabels = { child: 'Move into', before: 'Insert before', after: 'Insert after', invalid: 'Cannot move into' };
 
   return (
-    <div ref={containerRef} className="mindmap-container">
-      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="mindmap-svg">
+    <div
+      ref={containerRef}
+      className={`mindmap-container${drag ? ' dragging' : ''}${renderer === 'canvas' && hoveredNode ? ' over-node' : ''}${linkSourceId ? ' linking' : ''}`}
+      onKeyDown={handleKeyDown}
+    >
+      {renderer === 'canvas' && (
+        <canvas
+          ref={canvasRef}
+          className="mindmap-canvas"
+          width={Math.round(dimensions.width * (window.devicePixelRatio || 1))}
+          height={Math.round(dimensions.height * (window.devicePixelRatio || 1))}
+          style={{ width: dimensions.width, height: dimensions.height }}
+          aria-hidden="true"
+        />
+      )}
+      <svg
+        ref={svgRef}
+        width={dimensions.width}
+        height={dimensions.height}
+        className={`mindmap-svg${renderer === 'canvas' ? ' canvas-mode' : ''}`}
+        role="tree"
+        aria-label="Mind map"
+        aria-multiselectable="true"
+        onMouseDown={handleMouseDown}
+        {...canvasPointerHandlers}
+      >
         <defs>
           <pattern id="grid" width="20" height="20" patternUnits="userSpaceOnUse">
             <path d="M 20 0 L 0 0 0 20" fill="none" stroke="#333" strokeWidth="0.5" />
           </pattern>
+          {Object.entries(CROSS_LINK_TYPES).map(([type, { color }]) => (
+            <marker
+              key={type}
+              id={`cross-link-arrow-${type}`}
+              viewBox="0 0 10 10"
+              refX="8"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+            </marker>
+          ))}
         </defs>
         
-        <rect width="100%" height="100%" fill="url(#grid)" />
+        {renderer === 'svg' && <rect width="100%" height="100%" fill="url(#grid)" aria-hidden="true" />}
         
-        <g transform={transform.toString()}>
-          {links.map((link, index) => (
-            <line
-              key={index}
-              x1={link.sourcePos.x}
-              y1={link.sourcePos.y}
-              x2={link.targetPos.x}
-              y2={link.targetPos.y}
-              stroke="#555"
-              strokeWidth="2"
-              opacity={hoveredNode && 
-                (hoveredNode.id === link.source || hoveredNode.id === link.target) 
-                ? 1 : 0.6}
+        <g ref={viewportRef} transform={transformRef.current.toString()}>
+          {rendered.links.map((link) => (
+            <Link
+              key={link.target}
+              sourcePos={link.sourcePos}
+              targetPos={link.targetPos}
+              isHighlighted={hoveredNode?.id === link.source || hoveredNode?.id === link.target}
+              isDimmed={isDimmed(link.target)}
+              color={themeColors.link}
+              animate={animate}
             />
           ))}
+
+          {rendered.crossLinks.map((link) => {
+            const isEnd = (nodeId) => nodeId === link.source || nodeId === link.target;
+            return (
+              <CrossLink
+                key={link.id}
+                path={link.path}
+                labelX={link.labelX}
+                labelY={link.labelY}
+                type={link.type}
+                label={link.label}
+                isHighlighted={isEnd(hoveredNode?.id) || selectedIds.has(link.source) || selectedIds.has(link.target)}
+                isDimmed={isDimmed(link.source) || isDimmed(link.target)}
+                halo={themeColors.background}
+                showLabel={detail !== 'shapes'}
+                animate={animate}
+              />
+            );
+          })}
           
-          {nodes.map((node) => (
+          {rendered.nodes.map((node) => (
             <Node
               key={node.id}
               node={node}
               x={node.x}
               y={node.y}
               level={node.level}
-              isSelected={selectedNode && selectedNode.id === node.id}
-              isHighlighted={hoveredNode && hoveredNode.id === node.id}
-              onClick={handleNodeClick}
-              onHover={handleNodeHover}
-              onHoverOut={handleNodeHoverOut}
+              treePosition={treePositions.get(node.id)}
+              theme={theme}
+              isSelected={selectedIds.has(node.id)}
+              tabIndex={node.id === focusableId ? 0 : -1}
+              isHighlighted={hoveredNode?.id === node.id}
+              onClick={nodeHandlers.onClick}
+              onToggle={nodeHandlers.onToggle}
+              onContextMenu={nodeHandlers.onContextMenu}
+              onHover={nodeHandlers.onHover}
+              onHoverOut={nodeHandlers.onHoverOut}
+              onFocusNode={nodeHandlers.onFocusNode}
+              onBlurNode={nodeHandlers.onBlurNode}
+              onDragStart={canDrag ? nodeHandlers.onDragStart : undefined}
+              animate={animate}
+              detail={detail}
+              isDragging={Boolean(drag?.ids.has(node.id))}
+              isMatch={Boolean(matchIds?.has(node.id))}
+              isDimmed={isDimmed(node.id)}
+              dropIndicator={drag?.target?.node.id === node.id ? drag.target.position : null}
+              progress={taskProgress.get(node.id)}
+              descendantCount={descendantCounts.get(node.id)}
+              today={today}
             />
           ))}
+
+          {/* Drag ghost following the pointer */}
+          {drag && (
+            <g transform={`translate(${drag.x}, ${drag.y})`} pointerEvents="none">
+              <circle r="24" fill="#4a9eff" opacity="0.6" stroke="#fff" strokeDasharray="4 3" />
+              <text textAnchor="middle" dominantBaseline="middle" fill="#fff" fontSize="12px">
+                {drag.ids.size > 1 ? `${drag.node.title} +${drag.ids.size - 1}` : drag.node.title}
+              </text>
+              {drag.target && (
+                <text y="40" textAnchor="middle" fill="#ccc" fontSize="11px">
+                  {dropLabels[drag.target.position]} {drag.target.node.title}
+                </text>
+              )}
+            </g>
+          )}
         </g>
       </svg>
       
+      {lasso && <div className="lasso-rect" style={lasso} aria-hidden="true" />}
+
+      {/* In-place title editor (Enter / Tab / Shift+Enter) */}
+      {editingNode && (
+        <input
+          ref={editorRef}
+          className="node-title-editor"
+          style={getEditorStyle(editingNode, transformRef.current)}
+          value={editing.value}
+          placeholder="Node title"
+          maxLength={100}
+          autoFocus
+          onFocus={(e) => e.target.select()}
+          onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              finishEditing(true);
+            } else if (e.key === 'Escape') {
+              finishEditing(false);
+            }
+          }}
+          onBlur={() => finishEditing(true)}
+        />
+      )}
+
+      {contextMenu && (
+        <NodeContextMenu
+          title={contextMenu.node.title}
+          x={contextMenu.x}
+          y={contextMenu.y}
+          items={getContextMenuItems(contextMenu.node)}
+          onClose={closeContextMenu}
+        />
+      )}
+
       {tooltip.show && (
         <div
           className="tooltip"
+          role="tooltip"
           style={{
             left: tooltip.x,
             top: tooltip.y,
@@ -276,6 +1120,8 @@ const MindMap = ({
           {tooltip.content}
         </div>
       )}
+
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
     </div>
   );
 };
@@ -1,102 +1,168 @@
-import React, { useEffect, useRef } from 'react';
+import React, { memo, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import {
+  getThemeColors,
+  getNodeAppearance,
+  getShapeOutline,
+  getContentOffsets,
+  wrapTitle,
+  getExpandBadge,
+  ICON_FONT_SIZE,
+  TITLE_LINE_HEIGHT
+} from '../utils/nodeStyle';
+import { getTaskBadge, describeTask, TASK_COLORS } from '../utils/tasks';
+import { layoutTagChips, getTagChipsTop, TAG_TEXT_COLOR, TAG_FONT_SIZE } from '../utils/tags';
+
+// The node's shape, or a ring around it when given an offset
+const NodeShape = ({ appearance, offset = 0, ...props }) => {
+  if (appearance.shape === 'circle') return <circle r={appearance.size + offset} {...props} />;
+  const { x, y, width, height, rx } = getShapeOutline(appearance, offset);
+  return <rect x={x} y={y} width={width} height={height} rx={rx} {...props} />;
+};
 
 const Node = ({ 
   node, 
   x, 
   y, 
   level, 
+  treePosition,
+  theme,
   isSelected, 
   isHighlighted, 
+  tabIndex = -1,
   onClick, 
+  onToggle,
+  onContextMenu,
   onHover, 
-  onHoverOut 
+  onHoverOut,
+  onFocusNode,
+  onBlurNode,
+  onDragStart,
+  isDragging,
+  isMatch,
+  isDimmed,
+  dropIndicator,
+  progress,
+  descendantCount,
+  today,
+  animate = true,
+  detail = 'full'
 }) => {
-  const nodeRef = useRef();
-  const textRef = useRef();
-
-  const getNodeColor = (level) => {
-    const colors = ['#4a9eff', '#4caf50', '#ff9800', '#9c27b0']; // Blue, Green, Orange, Purple
-    return colors[Math.min(level, colors.length - 1)];
-  };
+  const groupRef = useRef();
+  const placedRef = useRef(false);
+  const [isFocused, setIsFocused] = useState(false);
 
-  const getNodeSize = (level, titleLength) => {
-    const baseSizes = [70, 55, 45, 35]; // Root largest, decreasing with depth
-    const baseSize = baseSizes[Math.min(level, baseSizes.length - 1)];
-    const extraSize = Math.min(titleLength * 1.5, 25);
-    return baseSize + extraSize;
-  };
+  // Place the node on first render, then animate to new layout positions (unless the map is too big)
+  useLayoutEffect(() => {
+    const group = d3.select(groupRef.current);
+    const position = `translate(${x}, ${y})`;
+    if (!placedRef.current || !animate) {
+      group.interrupt('move').attr('transform', position);
+      placedRef.current = true;
+      return;
+    }
+    group.transition('move').duration(500).ease(d3.easeCubicInOut).attr('transform', position);
+  }, [x, y, animate]);
 
-  useEffect(() => {
-    const nodeElement = d3.select(nodeRef.current);
-    const textElement = d3.select(textRef.current);
-    const title = node.title || '';
-    const nodeSize = getNodeSize(level, title.length);
-    
-    // Animate node appearance
-    nodeElement
-      .transition()
-      .duration(300)
-      .attr('r', nodeSize)
-      .attr('fill', getNodeColor(level));
+  // Wrapped title lines (and the icon above them), centered vertically around the node's middle
+  const lines = useMemo(() => wrapTitle(node.title || '', level), [node.title, level]);
+  const appearance = getNodeAppearance(node, theme);
+  const fontSize = level === 0 ? 18 : 16;
+  const { iconY, firstLineY } = getContentOffsets(lines.length, fontSize, Boolean(appearance.icon));
+  const tags = node.metadata?.tags;
+  const chips = useMemo(() => layoutTagChips(tags, getTagChipsTop(appearance)), [tags, appearance.height]);
+  const taskBadge = getTaskBadge(node.task, today);
+  const hasChildren = node.children?.length > 0;
+  const expandBadge = hasChildren && getExpandBadge(appearance, node._expanded, descendantCount);
+  const description = [
+    node.summary,
+    hasChildren && !node._expanded && descendantCount
+      ? `${descendantCount} ${descendantCount === 1 ? 'node' : 'nodes'} inside`
+      : null,
+    node.task ? `Task: ${describeTask(node.task, today)}` : null,
+    progress ? `${progress.done} of ${progress.total} tasks below done` : null,
+    tags?.length ? `Tags: ${tags.join(', ')}` : null
+  ].filter(Boolean).join('. ');
 
-    // Handle text wrapping for longer titles
-    const maxChars = level === 0 ? 15 : 12; // More chars for dynamic sizing
-    textElement.selectAll('*').remove();
-    
-    if (title.length > maxChars) {
-      // Split into multiple lines
-      const words = title.split(' ');
-      let lines = [];
-      let currentLine = '';
-      
-      words.forEach(word => {
-        if ((currentLine + word).length <= maxChars) {
-          currentLine += (currentLine ? ' ' : '') + word;
-        } else {
-          if (currentLine) lines.push(currentLine);
-          currentLine = word;
-        }
-      });
-      if (currentLine) lines.push(currentLine);
-      
-      // Limit to 3 lines for larger nodes
-      lines = lines.slice(0, 3);
-      
-      // Calculate vertical offset to center multi-line text
-      const lineHeight = 1.1;
-      const totalHeight = (lines.length - 1) * lineHeight;
-      const startY = -totalHeight / 2;
-      
-      lines.forEach((line, i) => {
-        textElement
-          .append('tspan')
-          .attr('x', 0)
-          .attr('dy', i === 0 ? `${startY}em` : `${lineHeight}em`)
-          .text(line);
-      });
-      
-      // Add ellipsis if text was truncated
-      if (title.length > maxChars * 3) {
-        textElement.select('tspan:last-child').text(lines[lines.length - 1] + '...');
-      }
-    } else {
-      textElement.text(title);
-    }
-  }, [node.title, level, node.id]);
+  const dropColors = { child: '#4caf50', before: '#4caf50', after: '#4caf50', invalid: '#ff6b6b' };
 
   return (
     <g 
-      transform={`translate(${x}, ${y})`}
+      ref={groupRef}
+      className="mindmap-node"
+      data-node-id={node.id}
+      role="treeitem"
+      aria-label={node.title || 'Untitled'}
+      aria-level={level + 1}
+      aria-posinset={treePosition?.posinset}
+      aria-setsize={treePosition?.setsize}
+      aria-selected={Boolean(isSelected)}
+      aria-expanded={node.children?.length ? Boolean(node._expanded) : undefined}
+      tabIndex={tabIndex}
       style={{ cursor: 'pointer' }}
-      onClick={() => onClick(node)}
-      onMouseEnter={() => onHover(node)}
+      opacity={isDragging ? 0.4 : isDimmed ? 0.2 : 1}
+      onClick={(e) => onClick(node, e)}
+      onDoubleClick={() => onToggle(node)}
+      onContextMenu={(e) => {
+        e.preventDefault();
+        onContextMenu?.(node, e);
+      }}
+      onMouseDown={(e) => onDragStart?.(node, e)}
+      onMouseEnter={(e) => onHover(node, e)}
       onMouseLeave={onHoverOut}
+      // Only keyboard focus gets a ring; mouse clicks already show the selection glow
+      onFocus={(e) => {
+        setIsFocused(e.currentTarget.matches(':focus-visible'));
+        onFocusNode?.(node);
+      }}
+      onBlur={() => {
+        setIsFocused(false);
+        onBlurNode?.();
+      }}
     >
+      {/* Read by screen readers as the node's description */}
+      {description && <desc>{description}</desc>}
+
+      {/* Keyboard focus ring */}
+      {isFocused && (
+        <NodeShape
+          appearance={appearance}
+          offset={10}
+          fill="none"
+          stroke="#ffd54f"
+          strokeWidth="2"
+          strokeDasharray="4 3"
+        />
+      )}
+
+      {/* Drop target ring - dashed when inserting as a sibling */}
+      {dropIndicator && (
+        <NodeShape
+          appearance={appearance}
+          offset={12}
+          fill="none"
+          stroke={dropColors[dropIndicator]}
+          strokeWidth="3"
+          strokeDasharray={dropIndicator === 'before' || dropIndicator === 'after' ? '6 4' : 'none'}
+        />
+      )}
+
+      {/* Search match ring */}
+      {isMatch && (
+        <NodeShape
+          appearance={appearance}
+          offset={9}
+          fill="none"
+          stroke="#ffb300"
+          strokeWidth="3"
+        />
+      )}
+
       {/* Glow effect for selected/highlighted nodes */}
       {(isSelected || isHighlighted) && (
-        <circle
-          r={getNodeSize(level, (node.title || '').length) + 6}
+        <NodeShape
+          appearance={appearance}
+          offset={6}
           fill="none"
           stroke={isSelected ? '#4a9eff' : '#fff'}
           strokeWidth="3"
@@ -104,53 +170,150 @@ const Node = ({
         />
       )}
       
-      {/* Main node circle */}
-      <circle
-        ref={nodeRef}
-        r={getNodeSize(level, (node.title || '').length)}
-        fill={getNodeColor(level)}
-        stroke={isSelected ? '#fff' : 'none'}
-        strokeWidth={isSelected ? '2' : '0'}
+      {/* Progress of the tasks below, clockwise from the top */}
+      {progress && (
+        <g pointerEvents="none" aria-hidden="true" transform={appearance.shape === 'circle' ? 'rotate(-90)' : undefined}>
+          <NodeShape appearance={appearance} offset={3} fill="none" stroke={TASK_COLORS.track} strokeWidth="3" />
+          <NodeShape
+            appearance={appearance}
+            offset={3}
+            fill="none"
+            stroke={TASK_COLORS.done}
+            strokeWidth="3"
+            pathLength="100"
+            strokeDasharray={`${(progress.done / progress.total) * 100} 100`}
+          />
+        </g>
+      )}
+
+      {/* Main node shape - a custom border gives way to the selection outline */}
+      <NodeShape
+        appearance={appearance}
+        fill={appearance.fill}
+        stroke={isSelected ? '#fff' : appearance.border ? appearance.border.color : 'none'}
+        strokeWidth={isSelected ? '2' : appearance.border ? '3' : '0'}
+        strokeDasharray={!isSelected && appearance.border ? appearance.border.dash : undefined}
         opacity={isHighlighted ? 0.8 : 1}
       />
+
+      {/* Icon or emoji above the title */}
+      {detail !== 'shapes' && appearance.icon && (
+        <text
+          y={iconY}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill={appearance.text}
+          fontSize={`${ICON_FONT_SIZE}px`}
+          pointerEvents="none"
+          aria-hidden="true"
+        >
+          {appearance.icon}
+        </text>
+      )}
       
-      {/* Node text */}
-      <text
-        ref={textRef}
-        textAnchor="middle"
-        dominantBaseline="middle"
-        fill="#fff"
-        fontSize={level === 0 ? '18px' : '16px'}
-        fontWeight={level === 0 ? 'bold' : 'normal'}
-        pointerEvents="none"
-      />
+      {/* Node text - dropped when zoomed far out on large maps */}
+      {detail !== 'shapes' && (
+        <text
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill={appearance.text}
+          fontSize={`${fontSize}px`}
+          fontWeight={level === 0 ? 'bold' : 'normal'}
+          pointerEvents="none"
+          aria-hidden="true"
+        >
+          {lines.map((line, i) => (
+            <tspan key={i} x="0" dy={i === 0 ? firstLineY : `${TITLE_LINE_HEIGHT}em`}>{line}</tspan>
+          ))}
+        </text>
+      )}
       
-      {/* Expand/collapse indicator */}
-      {node.children && node.children.length > 0 && (
-        <circle
-          cx={getNodeSize(level, (node.title || '').length) - 5}
-          cy={-getNodeSize(level, (node.title || '').length) + 5}
-          r="8"
+      {/* Tag chips along the bottom edge */}
+      {detail === 'full' && chips.map((chip, i) => (
+        <g key={i} pointerEvents="none" aria-hidden="true">
+          <rect
+            x={chip.x}
+            y={chip.y}
+            width={chip.width}
+            height={chip.height}
+            rx={chip.height / 2}
+            fill={chip.color}
+            stroke={getThemeColors(theme).background}
+            strokeWidth="1.5"
+          />
+          <text
+            x={chip.x + chip.width / 2}
+            y={chip.y + chip.height / 2}
+            textAnchor="middle"
+            dominantBaseline="central"
+            fill={TAG_TEXT_COLOR}
+            fontSize={`${TAG_FONT_SIZE}px`}
+          >
+            {chip.label}
+          </text>
+        </g>
+      ))}
+
+      {/* Task status on the top-left edge, opposite the expand badge */}
+      {detail === 'full' && taskBadge && (
+        <g pointerEvents="none" aria-hidden="true">
+          <circle
+            cx={-appearance.badge.x}
+            cy={appearance.badge.y}
+            r="8"
+            fill={taskBadge.fill}
+            stroke={taskBadge.stroke}
+            strokeWidth="1.5"
+          />
+          <text
+            x={-appearance.badge.x}
+            y={appearance.badge.y}
+            textAnchor="middle"
+            dominantBaseline="central"
+            fill="#fff"
+            fontSize="10px"
+            fontWeight="bold"
+          >
+            {taskBadge.symbol}
+          </text>
+        </g>
+      )}
+
+      {/* Expand/collapse badge, clickable - a collapsed node shows how many nodes it hides */}
+      {detail === 'full' && expandBadge && (
+        <rect
+          x={expandBadge.x - expandBadge.width / 2}
+          y={expandBadge.y - expandBadge.height / 2}
+          width={expandBadge.width}
+          height={expandBadge.height}
+          rx={expandBadge.height / 2}
           fill="#333"
           stroke="#fff"
           strokeWidth="1"
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(node);
+          }}
+          onDoubleClick={(e) => e.stopPropagation()}
         />
       )}
-      {node.children && node.children.length > 0 && (
+      {detail === 'full' && expandBadge && (
         <text
-          x={getNodeSize(level, (node.title || '').length) - 5}
-          y={-getNodeSize(level, (node.title || '').length) + 5}
+          x={expandBadge.x}
+          y={expandBadge.y}
           textAnchor="middle"
           dominantBaseline="middle"
           fill="#fff"
           fontSize="10px"
           pointerEvents="none"
+          aria-hidden="true"
         >
-          {node._expanded ? '−' : '+'}
+          {expandBadge.label}
         </text>
       )}
     </g>
   );
 };
 
-export default Node;
\ No newline at end of file
+// Memoized: with thousands of nodes, only nodes whose props changed re-render
+export default memo(Node);
\ No newline at end of file
@@ -0,0 +1,75 @@
+import React, { useLayoutEffect, useEffect, useRef, useState } from 'react';
+
+/**
+ * Right-click (or Shift+F10) menu of node actions, opened at a screen position.
+ * Items are { id, label, hint?, disabled?, onSelect }. `onClose(restoreFocus)` is called when an item is
+ * picked or the menu is left with the keyboard (true), or by clicking elsewhere (false).
+ */
+const NodeContextMenu = ({ title, x, y, items, onClose }) => {
+  const menuRef = useRef();
+  const [position, setPosition] = useState({ left: x, top: y });
+
+  // Keep the menu on screen, then focus its first item for keyboard use
+  useLayoutEffect(() => {
+    const menu = menuRef.current;
+    const { width, height } = menu.getBoundingClientRect();
+    setPosition({
+      left: Math.max(4, Math.min(x, window.innerWidth - width - 4)),
+      top: Math.max(4, Math.min(y, window.innerHeight - height - 4))
+    });
+    menu.querySelector('[role="menuitem"]:not(:disabled)')?.focus();
+  }, [x, y]);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (!menuRef.current.contains(e.target)) onClose(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [onClose]);
+
+  const handleKeyDown = (e) => {
+    const enabled = [...menuRef.current.querySelectorAll('[role="menuitem"]:not(:disabled)')];
+    const index = enabled.indexOf(document.activeElement);
+    const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: enabled.length - 1 };
+    if (e.key in moves) {
+      e.preventDefault();
+      enabled[(moves[e.key] + enabled.length) % enabled.length]?.focus();
+    } else if (e.key === 'Escape' || e.key === 'Tab') {
+      e.preventDefault();
+      onClose(true);
+    }
+    // Keep map shortcuts (Delete, Space, ...) from acting on the node behind the menu
+    e.stopPropagation();
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className="node-context-menu"
+      role="menu"
+      aria-label={`Actions for ${title || 'Untitled'}`}
+      style={position}
+      onKeyDown={handleKeyDown}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map(item => (
+        <button
+          key={item.id}
+          role="menuitem"
+          disabled={item.disabled}
+          onClick={() => {
+            onClose(true);
+            item.onSelect();
+          }}
+        >
+          <span>{item.label}</span>
+          {item.hint && <kbd>{item.hint}</kbd>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default NodeContextMenu;
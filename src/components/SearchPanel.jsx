@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './SearchPanel.css';
+
+const MAX_RESULTS = 50;
+
+const FILTER_MODES = [
+  { id: 'off', label: 'Highlight' },
+  { id: 'dim', label: 'Dim others' },
+  { id: 'hide', label: 'Hide others' }
+];
+
+/**
+ * Search box over the map with a result list
+ * Results cover the whole tree; picking one reveals it in the map
+ */
+const SearchPanel = ({ query, onQueryChange, results, filterMode, onFilterModeChange, onSelectResult }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [open, setOpen] = useState(false);
+  const inputRef = useRef();
+  const shown = results.slice(0, MAX_RESULTS);
+
+  useEffect(() => setActiveIndex(0), [query]);
+
+  // Ctrl+F / Cmd+F jumps to the search box instead of the browser's find bar
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'f') return;
+      e.preventDefault();
+      inputRef.current?.focus();
+      inputRef.current?.select();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const pick = (result) => {
+    onSelectResult(result.node.id);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(i => Math.min(i + 1, shown.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && shown[activeIndex]) {
+      e.preventDefault();
+      pick(shown[activeIndex]);
+    } else if (e.key === 'Escape') {
+      if (open && query) setOpen(false);
+      else onQueryChange('');
+    }
+  };
+
+  return (
+    <div className="search-panel">
+      <div className="search-row">
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-input"
+          placeholder="Search nodes (Ctrl+F)"
+          value={query}
+          onChange={(e) => {
+            onQueryChange(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          aria-label="Search nodes"
+          aria-controls="search-results"
+          aria-activedescendant={open && shown[activeIndex] ? `search-result-${activeIndex}` : undefined}
+        />
+        <select
+          className="search-filter"
+          value={filterMode}
+          onChange={(e) => onFilterModeChange(e.target.value)}
+          title="How non-matching branches are shown"
+        >
+          {FILTER_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+        </select>
+      </div>
+
+      {query.trim() && (
+        <div className="search-count">
+          {results.length === 0 ? 'No matches' : `${results.length} match${results.length === 1 ? '' : 'es'}`}
+          {results.length > MAX_RESULTS && ` (showing first ${MAX_RESULTS})`}
+          {results.length > 0 && !open && (
+            <button className="search-toggle" onClick={() => setOpen(true)}>Show list</button>
+          )}
+        </div>
+      )}
+
+      {open && shown.length > 0 && (
+        <ul id="search-results" className="search-results" role="listbox">
+          {shown.map((result, i) => (
+            <li
+              key={result.node.id}
+              id={`search-result-${i}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              className={`search-result${i === activeIndex ? ' active' : ''}`}
+              onMouseEnter={() => setActiveIndex(i)}
+              // Pick on mousedown so the input's blur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(result);
+              }}
+            >
+              <div className="search-result-title">{result.node.title || 'Untitled'}</div>
+              {result.path.length > 0 && (
+                <div className="search-result-path">{result.path.map(node => node.title).join(' › ')}</div>
+              )}
+              {result.field !== 'title' && (
+                <div className="search-result-snippet">
+                  <span className="search-result-field">{result.field}:</span>{' '}
+                  {result.snippet.before}<mark>{result.snippet.match}</mark>{result.snippet.after}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,51 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const SHARE_OPTIONS = [
+  { id: 'view', label: 'Link to this view', hint: 'Same map, drill-down, selection and zoom' },
+  { id: 'embed', label: 'Read-only copy', hint: 'The map itself inside the link (small maps)' }
+];
+
+/**
+ * Toolbar dropdown for copying a link to the current view
+ */
+const ShareMenu = ({ onShare }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleShare = (kind) => {
+    onShare(kind);
+    setOpen(false);
+  };
+
+  return (
+    <div className="toolbar-menu" ref={menuRef}>
+      <button onClick={() => setOpen(!open)} title="Copy a link" aria-expanded={open}>
+        <span aria-hidden="true">🔗</span> Share ▾
+      </button>
+      {open && (
+        <div className="toolbar-dropdown">
+          <div className="dropdown-section">
+            {SHARE_OPTIONS.map(option => (
+              <button key={option.id} className="dropdown-item" onClick={() => handleShare(option.id)}>
+                <strong>{option.label}</strong>
+                <span>{option.hint}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareMenu;
@@ -0,0 +1,66 @@
+import React, { useEffect } from 'react';
+
+const SHORTCUTS = [
+  { keys: ['←'], action: 'Select parent' },
+  { keys: ['→'], action: 'Select first child (expands if collapsed)' },
+  { keys: ['↑', '↓'], action: 'Select previous / next sibling' },
+  { keys: ['Space'], action: 'Expand / collapse' },
+  { keys: ['Enter'], action: 'Edit title (or pick it as the target of a new link)' },
+  { keys: ['Tab'], action: 'Add child' },
+  { keys: ['Shift', 'Enter'], action: 'Add sibling' },
+  { keys: ['Delete'], action: 'Delete node (or every selected node)' },
+  { keys: ['Shift', 'F10'], action: 'Open the node menu' },
+  { keys: ['Esc'], action: 'Cancel picking a link target, or keep only the focused node selected' },
+  { keys: ['Ctrl', 'C'], action: 'Copy the selected branches' },
+  { keys: ['Ctrl', 'X'], action: 'Cut the selected branches' },
+  { keys: ['Ctrl', 'V'], action: 'Paste as children of the selected node' },
+  { keys: ['Ctrl', 'D'], action: 'Duplicate the selected branches' },
+  { keys: ['Ctrl', 'F'], action: 'Search nodes' },
+  { keys: ['Ctrl', 'Z'], action: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], action: 'Redo' },
+  { keys: ['?'], action: 'Show this help' }
+];
+
+/**
+ * Modal reference of the map's keyboard shortcuts
+ * Closes on Escape or a click outside the panel
+ */
+const ShortcutsOverlay = ({ onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="shortcuts-backdrop" onClick={onClose}>
+      <div
+        className="shortcuts-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shortcuts-header">
+          <h3 id="shortcuts-title">Keyboard Shortcuts</h3>
+          <button onClick={onClose} title="Close" autoFocus>×</button>
+        </div>
+        <p className="shortcuts-hint">Click a node or tab into the map, then:</p>
+        <table className="shortcuts-table">
+          <tbody>
+            {SHORTCUTS.map(({ keys, action }) => (
+              <tr key={action}>
+                <td>{keys.map(key => <kbd key={key}>{key}</kbd>)}</td>
+                <td>{action}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsOverlay;
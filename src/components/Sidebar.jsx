@@ -1,24 +1,744 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import DocumentSwitcher from './DocumentSwitcher';
+import { sanitizeInput, MARKDOWN_MAX_LENGTH } from '../utils/text';
+import { renderMarkdown } from '../utils/markdown';
+import { CROSS_LINK_TYPES, DEFAULT_CROSS_LINK_TYPE, getCrossLinkType } from '../utils/crossLinks';
+import {
+  TASK_PRIORITIES, ASSIGNEE_MAX_LENGTH, normalizeTask, collectTaskProgress, isOverdue, toDateKey
+} from '../utils/tasks';
+import { getTagColor, normalizeTags, TAG_MAX_LENGTH } from '../utils/tags';
+import { NODE_SHAPES, NODE_EMPHASIS, BORDER_STYLES, ICON_MAX_LENGTH, normalizeNodeStyle } from '../utils/nodeStyle';
 import './Sidebar.css';
 
-const Sidebar = ({ selectedNode, onUpdateNode }) => {
+const emptyMetadata = { notes: '', inputs: [], outputs: [] };
+
+// Stands for a field the selected nodes don't agree on
+const MIXED = '__mixed__';
+
+// The value every node has for a field, or MIXED when they differ
+const sharedValue = (nodes, getValue) => {
+  const [first, ...rest] = nodes.map(getValue);
+  return rest.every(value => value === first) ? first : MIXED;
+};
+
+/**
+ * Checkbox for a flag of the selected nodes, half-checked while they differ
+ */
+const SharedCheckbox = ({ value, onChange, children }) => {
+  const inputRef = useRef();
+
+  useEffect(() => {
+    inputRef.current.indeterminate = value === MIXED;
+  }, [value]);
+
+  return (
+    <label className="field-check">
+      <input ref={inputRef} type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} />
+      {children}
+    </label>
+  );
+};
+
+/**
+ * Editable list of metadata entries (inputs/outputs) with add, remove and reorder
+ */
+const MetadataList = ({ label, items, onChange, sanitize }) => {
+  const [newItem, setNewItem] = useState('');
+
+  const handleAdd = () => {
+    const value = sanitize(newItem);
+    if (!value) return;
+    onChange([...items, value]);
+    setNewItem('');
+  };
+
+  const handleRemove = (index) => onChange(items.filter((_, i) => i !== index));
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <div className="field-group">
+      <label id={`${label.toLowerCase()}-label`}>{label}</label>
+      {items.length === 0 ? (
+        <div className="metadata-empty">None</div>
+      ) : (
+        <ul className="metadata-list" aria-labelledby={`${label.toLowerCase()}-label`}>
+          {items.map((item, index) => (
+            <li key={`${index}-${item}`}>
+              <span className="metadata-item">{item}</span>
+              <span className="metadata-item-actions">
+                <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Move up" aria-label={`Move ${item} up`}>↑</button>
+                <button onClick={() => handleMove(index, 1)} disabled={index === items.length - 1} title="Move down" aria-label={`Move ${item} down`}>↓</button>
+                <button onClick={() => handleRemove(index)} title="Remove" aria-label={`Remove ${item}`}>×</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="metadata-add">
+        <input
+          type="text"
+          value={newItem}
+          placeholder={`Add ${label.toLowerCase().replace(/s$/, '')}...`}
+          onChange={(e) => setNewItem(e.target.value)}
+          aria-label={`New ${label.toLowerCase().replace(/s$/, '')}`}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          maxLength={200}
+        />
+        <button onClick={handleAdd} disabled={!newItem.trim()}>Add</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * A node's tags as removable chips, and an input suggesting the tags already used in the map.
+ * Several tags can be added at once, separated by commas.
+ */
+const TagEditor = ({ tags, allTags, onChange, label = 'Tags' }) => {
+  const [newTag, setNewTag] = useState('');
+  const suggestions = allTags.map(({ tag }) => tag).filter(tag => !tags.includes(tag));
+
+  const handleAdd = () => {
+    const added = normalizeTags(newTag.split(','));
+    if (added.length) onChange(normalizeTags([...tags, ...added]));
+    setNewTag('');
+  };
+
+  return (
+    <div className="field-group">
+      <label htmlFor="field-tags">{label}</label>
+      {tags.length === 0 ? (
+        <div className="metadata-empty">None</div>
+      ) : (
+        <ul className="tag-chips" aria-label="Tags">
+          {tags.map(tag => (
+            <li key={tag} className="tag-chip" style={{ background: getTagColor(tag) }}>
+              {tag}
+              <button onClick={() => onChange(tags.filter(other => other !== tag))} title="Remove" aria-label={`Remove tag ${tag}`}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="metadata-add">
+        <input
+          type="text"
+          id="field-tags"
+          list="tag-suggestions"
+          value={newTag}
+          placeholder="Add tag..."
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          maxLength={TAG_MAX_LENGTH * 4}
+        />
+        <datalist id="tag-suggestions">
+          {suggestions.map(tag => <option key={tag} value={tag} />)}
+        </datalist>
+        <button onClick={handleAdd} disabled={!newTag.trim()}>Add</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Markdown field (description, notes): rendered when idle, a Write/Preview editor while editing.
+ * Editing state lives in the Sidebar so all fields share one save/cancel flow.
+ */
+const MarkdownField = ({ field, label, value, placeholder, editing, editValue, onEditValue, onEdit, onKeyDown, onSave, onCancel }) => {
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    if (!editing) setPreviewing(false);
+  }, [editing]);
+
+  if (editing) {
+    return (
+      <div className="edit-field">
+        <div className="markdown-tabs" role="group" aria-label={`${label} editor mode`}>
+          <button type="button" aria-pressed={!previewing} onClick={() => setPreviewing(false)}>Write</button>
+          <button type="button" aria-pressed={previewing} onClick={() => setPreviewing(true)}>Preview</button>
+        </div>
+        {previewing ? (
+          <div
+            className="field-value markdown-body"
+            tabIndex={0}
+            onKeyDown={onKeyDown}
+            dangerouslySetInnerHTML={{ __html: renderMarkdown(editValue, { headingOffset: 3 }) || '<p class="placeholder">Nothing to preview</p>' }}
+          />
+        ) : (
+          <textarea
+            id={`field-${field}`}
+            value={editValue}
+            onChange={(e) => onEditValue(e.target.value)}
+            onKeyDown={onKeyDown}
+            maxLength={MARKDOWN_MAX_LENGTH}
+            rows={8}
+            placeholder="Markdown supported · Ctrl+Enter to save"
+            autoFocus
+          />
+        )}
+        <div className="edit-actions">
+          <button onClick={onSave}>Save</button>
+          <button onClick={onCancel}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // Clicking the rendered text edits it, except when following one of its links
+  return (
+    <div className="field-value markdown-field" onClick={(e) => !e.target.closest('a') && onEdit()}>
+      {value ? (
+        <div className="markdown-body" dangerouslySetInnerHTML={{ __html: renderMarkdown(value, { headingOffset: 3 }) }} />
+      ) : (
+        <span className="placeholder">{placeholder}</span>
+      )}
+      <button
+        type="button"
+        id={`field-${field}`}
+        className="markdown-edit"
+        onClick={(e) => {
+          e.stopPropagation();
+          onEdit();
+        }}
+        aria-label={value ? `Edit ${label.toLowerCase()}` : `Add ${label.toLowerCase()}`}
+      >
+        Edit
+      </button>
+    </div>
+  );
+};
+
+/**
+ * One cross-link row: the relationship, the node at the other end (click to jump there),
+ * and for outgoing links an inline editor for the type and label
+ */
+const CrossLinkItem = ({ link, direction, onJump, onUpdate, onDelete }) => {
+  const [editing, setEditing] = useState(null);
+  const { color, label: typeLabel, inverse } = getCrossLinkType(link.type);
+  const otherTitle = link.node?.title || 'Untitled';
+
+  const handleSave = () => {
+    onUpdate({ type: editing.type, label: sanitizeInput(editing.label) });
+    setEditing(null);
+  };
+
+  if (editing) {
+    return (
+      <li className="cross-link-item editing">
+        <select
+          value={editing.type}
+          onChange={(e) => setEditing({ ...editing, type: e.target.value })}
+          aria-label="Link type"
+        >
+          {Object.entries(CROSS_LINK_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={editing.label}
+          placeholder="Label (optional)"
+          onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSave();
+            else if (e.key === 'Escape') setEditing(null);
+          }}
+          aria-label="Link label"
+          maxLength={60}
+          autoFocus
+        />
+        <span className="metadata-item-actions">
+          <button onClick={handleSave}>Save</button>
+          <button onClick={() => setEditing(null)}>Cancel</button>
+        </span>
+      </li>
+    );
+  }
+
+  return (
+    <li className="cross-link-item">
+      <span className="metadata-item">
+        <span className="cross-link-type" style={{ color }}>{direction === 'outgoing' ? typeLabel : inverse}</span>{' '}
+        <button className="cross-link-node" onClick={onJump} title="Go to node">{otherTitle}</button>
+        {link.label && <span className="cross-link-label-text">{link.label}</span>}
+      </span>
+      <span className="metadata-item-actions">
+        {direction === 'outgoing' && (
+          <button
+            onClick={() => setEditing({ type: link.type, label: link.label || '' })}
+            title="Edit link"
+            aria-label={`Edit link to ${otherTitle}`}
+          >
+            ✎
+          </button>
+        )}
+        <button onClick={onDelete} title="Delete link" aria-label={`Delete link ${direction === 'outgoing' ? 'to' : 'from'} ${otherTitle}`}>×</button>
+      </span>
+    </li>
+  );
+};
+
+/**
+ * Incoming and outgoing cross-links of a node, and the form that starts a new one.
+ * The target of a new link is picked on the map (see App's linkDraft).
+ */
+const CrossLinksSection = ({ node, crossLinks, linkDraft, onStartLink, onUpdateCrossLink, onDeleteCrossLink, onJumpToNode }) => {
+  const [newType, setNewType] = useState(DEFAULT_CROSS_LINK_TYPE);
+  const [newLabel, setNewLabel] = useState('');
+  const isPicking = linkDraft?.sourceId === node.id;
+
+  const handleStart = () => {
+    if (isPicking) {
+      onStartLink(null);
+      return;
+    }
+    onStartLink({ sourceId: node.id, type: newType, label: sanitizeInput(newLabel) });
+    setNewLabel('');
+  };
+
+  const renderList = (direction, links) => (
+    <div className="field-group">
+      <label id={`${direction}-links-label`}>{direction === 'outgoing' ? 'Outgoing' : 'Incoming'}</label>
+      {links.length === 0 ? (
+        <div className="metadata-empty">None</div>
+      ) : (
+        <ul className="metadata-list" aria-labelledby={`${direction}-links-label`}>
+          {links.map(link => (
+            <CrossLinkItem
+              key={link.id}
+              link={link}
+              direction={direction}
+              onJump={() => onJumpToNode(direction === 'outgoing' ? link.target : link.source)}
+              onUpdate={(updates) => onUpdateCrossLink(link.source, link.id, updates)}
+              onDelete={() => onDeleteCrossLink(link.source, link.id)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="metadata-section">
+      <h4>Links</h4>
+      {renderList('outgoing', crossLinks.outgoing)}
+      {renderList('incoming', crossLinks.incoming)}
+      <div className="cross-link-add">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} aria-label="New link type">
+          {Object.entries(CROSS_LINK_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={newLabel}
+          placeholder="Label (optional)"
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleStart();
+            }
+          }}
+          aria-label="New link label"
+          maxLength={60}
+        />
+        <button onClick={handleStart} aria-pressed={isPicking}>
+          {isPicking ? 'Cancel' : 'Link to…'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Color picker that commits once the user settles on a color.
+ * React's onChange fires on every step of a drag; the native change event fires when the picker closes,
+ * so dragging through colors previews locally and adds a single undo step.
+ */
+const ColorField = ({ id, label, value, fallback, mixed = false, onChange }) => {
+  const inputRef = useRef();
+  const onChangeRef = useRef(onChange);
+  const [draft, setDraft] = useState(value || fallback);
+  onChangeRef.current = onChange;
+
+  useEffect(() => setDraft(value || fallback), [value, fallback]);
+
+  useEffect(() => {
+    const input = inputRef.current;
+    const handleChange = () => onChangeRef.current(input.value);
+    input.addEventListener('change', handleChange);
+    return () => input.removeEventListener('change', handleChange);
+  }, []);
+
+  return (
+    <div className="field-row">
+      <label htmlFor={id}>{label}</label>
+      <div className="style-color">
+        <input ref={inputRef} type="color" id={id} value={draft} onChange={(e) => setDraft(e.target.value)} />
+        {mixed && <span className="style-default">Mixed</span>}
+        {value || mixed ? (
+          <button type="button" onClick={() => onChange(undefined)} aria-label={`Reset ${label.toLowerCase()}`}>
+            Default
+          </button>
+        ) : (
+          <span className="style-default">Default</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Style overrides of the selected nodes: fill, shape, border, icon and size.
+ * Fields left at their default fall back to the level-based look or to what an ancestor passes down;
+ * with several nodes, a field they don't agree on shows as mixed until it is set for all of them.
+ */
+const StyleSection = ({ nodes, onUpdateNodes }) => {
+  const shared = (field) => sharedValue(nodes, node => node.style?.[field]);
+  const sharedIcon = shared('icon');
+  const iconValue = sharedIcon === MIXED ? '' : sharedIcon || '';
+  const [icon, setIcon] = useState(iconValue);
+
+  useEffect(() => setIcon(iconValue), [nodes]);
+
+  const updateStyle = (changes) => {
+    onUpdateNodes(nodes.map(node => node.id), node => ({ style: normalizeNodeStyle({ ...node.style, ...changes }) }));
+  };
+
+  const saveIcon = () => {
+    const value = sanitizeInput(icon);
+    if (value !== iconValue) updateStyle({ icon: value });
+  };
+
+  const renderSelect = (field, label, options, defaultLabel) => {
+    const value = shared(field);
+    return (
+      <div className="field-row">
+        <label htmlFor={`style-${field}`}>{label}</label>
+        <select
+          id={`style-${field}`}
+          value={value || ''}
+          onChange={(e) => updateStyle({ [field]: e.target.value || undefined })}
+        >
+          {value === MIXED && <option value={MIXED} disabled>Mixed</option>}
+          <option value="">{defaultLabel}</option>
+          {Object.entries(options).map(([value, option]) => (
+            <option key={value} value={value}>{typeof option === 'string' ? option : option.label}</option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  const renderColor = (field, id, label, fallback) => {
+    const value = shared(field);
+    return (
+      <ColorField
+        id={id}
+        label={label}
+        value={value === MIXED ? undefined : value}
+        fallback={fallback}
+        mixed={value === MIXED}
+        onChange={(color) => updateStyle({ [field]: color })}
+      />
+    );
+  };
+
+  return (
+    <div className="metadata-section style-section">
+      <h4>Style</h4>
+      {renderColor('color', 'style-color', 'Fill', '#4a9eff')}
+      {renderSelect('shape', 'Shape', NODE_SHAPES, 'Default')}
+      {renderSelect('emphasis', 'Size', NODE_EMPHASIS, 'Default')}
+      {renderSelect('borderStyle', 'Border', BORDER_STYLES, 'Default')}
+      {renderColor('borderColor', 'style-border-color', 'Border color', '#ffffff')}
+      <div className="field-row">
+        <label htmlFor="style-icon">Icon</label>
+        <input
+          type="text"
+          id="style-icon"
+          value={icon}
+          placeholder={sharedIcon === MIXED ? 'Mixed' : 'Emoji or text'}
+          onChange={(e) => setIcon(e.target.value)}
+          onBlur={saveIcon}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              saveIcon();
+            }
+          }}
+          maxLength={ICON_MAX_LENGTH}
+        />
+      </div>
+      <SharedCheckbox value={sharedValue(nodes, node => Boolean(node.style?.inherit))} onChange={(inherit) => updateStyle({ inherit })}>
+        Apply to children
+      </SharedCheckbox>
+      {nodes.some(node => node.style) && (
+        <button
+          type="button"
+          className="style-reset"
+          onClick={() => onUpdateNodes(nodes.map(node => node.id), () => ({ style: undefined }))}
+        >
+          Reset style
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Task state of the selected nodes (done, priority, due date, assignee) and, for a single node,
+ * the progress of the tasks below it
+ */
+const TaskSection = ({ nodes, assignees, onUpdateNodes }) => {
+  const ids = nodes.map(node => node.id);
+  const isTask = sharedValue(nodes, node => Boolean(node.task));
+  const shared = (field) => sharedValue(nodes, node => node.task?.[field]);
+  const sharedAssignee = shared('assignee');
+  const assigneeValue = sharedAssignee === MIXED ? '' : sharedAssignee || '';
+  const due = shared('due');
+  const [assignee, setAssignee] = useState(assigneeValue);
+  const progress = useMemo(() => (nodes.length === 1 ? collectTaskProgress(nodes[0]).get(nodes[0].id) : null), [nodes]);
+
+  useEffect(() => setAssignee(assigneeValue), [nodes]);
+
+  const updateTasks = (changes) => onUpdateNodes(ids, node => ({ task: normalizeTask({ ...node.task, ...changes }) }));
+
+  const saveAssignee = () => {
+    const value = sanitizeInput(assignee);
+    if (value !== assigneeValue) updateTasks({ assignee: value });
+  };
+
+  return (
+    <div className="metadata-section task-section">
+      <h4>Task</h4>
+      <SharedCheckbox
+        value={isTask}
+        onChange={(checked) => onUpdateNodes(ids, node => ({ task: checked ? node.task || { done: false } : undefined }))}
+      >
+        Track as {nodes.length === 1 ? 'a task' : 'tasks'}
+      </SharedCheckbox>
+      {isTask === true && (
+        <>
+          <SharedCheckbox value={shared('done')} onChange={(done) => updateTasks({ done })}>
+            Done
+          </SharedCheckbox>
+          <div className="field-row">
+            <label htmlFor="task-priority">Priority</label>
+            <select
+              id="task-priority"
+              value={shared('priority') || ''}
+              onChange={(e) => updateTasks({ priority: e.target.value || undefined })}
+            >
+              {shared('priority') === MIXED && <option value={MIXED} disabled>Mixed</option>}
+              <option value="">None</option>
+              {Object.entries(TASK_PRIORITIES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </div>
+          <div className="field-row">
+            <label htmlFor="task-due">Due</label>
+            <input
+              type="date"
+              id="task-due"
+              value={due === MIXED ? '' : due || ''}
+              onChange={(e) => updateTasks({ due: e.target.value || undefined })}
+            />
+            {due === MIXED && <span className="style-default">Mixed</span>}
+            {nodes.every(node => isOverdue(node.task, toDateKey(new Date()))) && <span className="task-overdue">Overdue</span>}
+          </div>
+          <div className="field-row">
+            <label htmlFor="task-assignee">Assignee</label>
+            <input
+              type="text"
+              id="task-assignee"
+              list="assignee-suggestions"
+              value={assignee}
+              placeholder={sharedAssignee === MIXED ? 'Mixed' : 'Nobody'}
+              onChange={(e) => setAssignee(e.target.value)}
+              onBlur={saveAssignee}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  saveAssignee();
+                }
+              }}
+              maxLength={ASSIGNEE_MAX_LENGTH}
+            />
+            <datalist id="assignee-suggestions">
+              {assignees.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </div>
+        </>
+      )}
+      {progress && (
+        <div className="task-progress">
+          <progress value={progress.done} max={progress.total} />
+          <span>{progress.done} of {progress.total} tasks below done</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Several selected nodes: which ones, the actions that apply to all of them and the fields they share
+ */
+const SelectionSummary = ({
+  nodes,
+  tags,
+  assignees,
+  readOnly,
+  onUpdateNodes,
+  onSelectNode,
+  onExpandSelection,
+  onDeleteSelection
+}) => {
+  const ids = nodes.map(node => node.id);
+  const sharedTags = nodes.reduce(
+    (common, node) => common.filter(tag => (node.metadata?.tags || []).includes(tag)),
+    nodes[0].metadata?.tags || []
+  );
+
+  // Tags added or removed here change on every selected node; their other tags stay
+  const handleTagsChange = (nextTags) => {
+    const removed = sharedTags.filter(tag => !nextTags.includes(tag));
+    const added = nextTags.filter(tag => !sharedTags.includes(tag));
+    onUpdateNodes(ids, node => {
+      const nodeTags = normalizeTags([...(node.metadata?.tags || []).filter(tag => !removed.includes(tag)), ...added]);
+      return { metadata: { ...emptyMetadata, ...node.metadata, tags: nodeTags.length ? nodeTags : undefined } };
+    });
+  };
+
+  return (
+    <div className="selection-summary">
+      <h3>{nodes.length} nodes selected</h3>
+      <ul className="selection-list" aria-label="Selected nodes">
+        {nodes.map(node => (
+          <li key={node.id}>
+            <button type="button" onClick={() => onSelectNode(node.id)} title="Select only this node">
+              {node.title || 'Untitled'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p className="selection-hint">
+        Shift/Ctrl-click nodes or Shift-drag around them to change the selection{readOnly ? '' : '; drag a selected node to move them all'}.
+      </p>
+      <div className="selection-actions">
+        <button type="button" onClick={() => onExpandSelection(true)}>Expand</button>
+        <button type="button" onClick={() => onExpandSelection(false)}>Collapse</button>
+        {!readOnly && <button type="button" onClick={onDeleteSelection}>Delete</button>}
+      </div>
+      <fieldset className="node-details" disabled={readOnly}>
+        <div className="metadata-section">
+          <h4>Shared Fields</h4>
+          <TagEditor tags={sharedTags} allTags={tags} onChange={handleTagsChange} label="Tags on every node" />
+        </div>
+        <TaskSection nodes={nodes} assignees={assignees} onUpdateNodes={onUpdateNodes} />
+        <StyleSection nodes={nodes} onUpdateNodes={onUpdateNodes} />
+      </fieldset>
+    </div>
+  );
+};
+
+/**
+ * Stands in for the document switcher while a map opened from a link is shown
+ */
+const SharedMapNotice = ({ onSave, onLeave }) => {
+  const [busy, setBusy] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const handleSave = async () => {
+    setBusy(true);
+    setSaveError(null);
+    try {
+      await onSave();
+    } catch (err) {
+      setSaveError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="document-switcher shared-map">
+      <label>Shared Mind Map</label>
+      <p>This read-only copy came with the link. Save it to your maps to edit it.</p>
+      <div className="document-actions">
+        <button onClick={handleSave} disabled={busy} title="Add this map to your library">Save to my maps</button>
+        <button onClick={onLeave} disabled={busy} title="Back to your own maps">Open my maps</button>
+      </div>
+      {saveError && <div className="document-error" role="alert">{saveError}</div>}
+    </div>
+  );
+};
+
+const Sidebar = ({
+  selectedNode,
+  selectedNodes = [],
+  onUpdateNode,
+  onUpdateNodes,
+  onSelectNode,
+  onExpandSelection,
+  onDeleteSelection,
+  tags,
+  assignees,
+  crossLinks,
+  linkDraft,
+  onStartLink,
+  onUpdateCrossLink,
+  onDeleteCrossLink,
+  onJumpToNode,
+  library,
+  sharedMap,
+  readOnly = false
+}) => {
   const [editingField, setEditingField] = useState(null);
   const [editValue, setEditValue] = useState('');
+  const returnFocusRef = useRef(null);
+  const metadata = { ...emptyMetadata, ...selectedNode?.metadata };
 
   useEffect(() => {
     setEditingField(null);
   }, [selectedNode]);
 
-  const sanitizeInput = (input) => {
-    return input.replace(/[<>]/g, '').trim();
-  };
+  // Give keyboard focus back to the field's button once its editor closes
+  useEffect(() => {
+    if (editingField || !returnFocusRef.current) return;
+    document.getElementById(`field-${returnFocusRef.current}`)?.focus();
+    returnFocusRef.current = null;
+  }, [editingField]);
 
   const handleEdit = (field, value) => {
     setEditingField(field);
     setEditValue(value || '');
   };
 
+  const updateMetadata = (changes) => {
+    onUpdateNode(selectedNode.id, { metadata: { ...metadata, ...changes } });
+  };
+
   const handleSave = () => {
+    // Notes are optional, every other field must keep a value
+    returnFocusRef.current = editingField;
+    if (editingField === 'notes') {
+      updateMetadata({ notes: sanitizeInput(editValue) });
+      setEditingField(null);
+      return;
+    }
     if (!editValue.trim()) return;
     
     const sanitizedValue = sanitizeInput(editValue);
@@ -29,12 +749,15 @@ const Sidebar = ({ selectedNode, onUpdateNode }) => {
   };
 
   const handleCancel = () => {
+    returnFocusRef.current = editingField;
     setEditingField(null);
     setEditValue('');
   };
 
   const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+    // Markdown fields are multi-line: plain Enter inserts a newline, Ctrl/Cmd+Enter saves
+    const isMultiline = editingField === 'description' || editingField === 'notes';
+    if (e.key === 'Enter' && (isMultiline ? (e.ctrlKey || e.metaKey) : !e.shiftKey)) {
       e.preventDefault();
       handleSave();
     } else if (e.key === 'Escape') {
@@ -43,26 +766,42 @@ const Sidebar = ({ selectedNode, onUpdateNode }) => {
   };
 
   return (
-    <div className="sidebar">
+    <div className="sidebar" role="complementary" aria-label="Node details">
       <div className="sidebar-content">
         <div className="project-header">
           <h2>Interactive Component Visualization</h2>
           <p>Architecture Document</p>
         </div>
+
+        {sharedMap
+          ? <SharedMapNotice onSave={sharedMap.onSave} onLeave={sharedMap.onLeave} />
+          : <DocumentSwitcher library={library} />}
         
-        {!selectedNode ? (
+        {selectedNodes.length > 1 ? (
+          <SelectionSummary
+            nodes={selectedNodes}
+            tags={tags}
+            assignees={assignees}
+            readOnly={readOnly}
+            onUpdateNodes={onUpdateNodes}
+            onSelectNode={onSelectNode}
+            onExpandSelection={onExpandSelection}
+            onDeleteSelection={onDeleteSelection}
+          />
+        ) : !selectedNode ? (
           <div>
             <h3>Select a Node</h3>
-            <p>Click on any node in the mind map to view and edit its details.</p>
+            <p>Click on any node in the mind map to view{readOnly ? '' : ' and edit'} its details.</p>
           </div>
         ) : (
-          <>
+          <fieldset className="node-details" disabled={readOnly}>
             <div className="field-group">
-          <label>Title</label>
+          <label htmlFor="field-title">Title</label>
           {editingField === 'title' ? (
             <div className="edit-field">
               <input
                 type="text"
+                id="field-title"
                 value={editValue}
                 onChange={(e) => setEditValue(e.target.value)}
                 onKeyDown={handleKeyPress}
@@ -75,20 +814,24 @@ const Sidebar = ({ selectedNode, onUpdateNode }) => {
               </div>
             </div>
           ) : (
-            <div 
-              className="field-value editable" 
+            <button
+              type="button"
+              id="field-title"
+              className="field-value editable"
               onClick={() => handleEdit('title', selectedNode.title)}
+              aria-label={`Edit title: ${selectedNode.title || 'empty'}`}
             >
               {selectedNode.title}
-            </div>
+            </button>
           )}
         </div>
 
         <div className="field-group">
-          <label>Summary</label>
+          <label htmlFor="field-summary">Summary</label>
           {editingField === 'summary' ? (
             <div className="edit-field">
               <textarea
+                id="field-summary"
                 value={editValue}
                 onChange={(e) => setEditValue(e.target.value)}
                 onKeyDown={handleKeyPress}
@@ -102,42 +845,87 @@ const Sidebar = ({ selectedNode, onUpdateNode }) => {
               </div>
             </div>
           ) : (
-            <div 
-              className="field-value editable" 
+            <button
+              type="button"
+              id="field-summary"
+              className="field-value editable"
               onClick={() => handleEdit('summary', selectedNode.summary)}
+              aria-label={`Edit summary: ${selectedNode.summary || 'empty'}`}
             >
               {selectedNode.summary}
-            </div>
+            </button>
           )}
         </div>
 
         <div className="field-group">
-          <label>Description</label>
-          {editingField === 'description' ? (
-            <div className="edit-field">
-              <textarea
-                value={editValue}
-                onChange={(e) => setEditValue(e.target.value)}
-                onKeyDown={handleKeyPress}
-                maxLength={1000}
-                rows={6}
-                autoFocus
-              />
-              <div className="edit-actions">
-                <button onClick={handleSave}>Save</button>
-                <button onClick={handleCancel}>Cancel</button>
-              </div>
-            </div>
-          ) : (
-            <div 
-              className="field-value editable" 
-              onClick={() => handleEdit('description', selectedNode.description)}
-            >
-              {selectedNode.description}
-            </div>
-          )}
+          <label htmlFor="field-description">Description</label>
+          <MarkdownField
+            field="description"
+            label="Description"
+            value={selectedNode.description}
+            placeholder="Click to add a description"
+            editing={editingField === 'description'}
+            editValue={editValue}
+            onEditValue={setEditValue}
+            onEdit={() => handleEdit('description', selectedNode.description)}
+            onKeyDown={handleKeyPress}
+            onSave={handleSave}
+            onCancel={handleCancel}
+          />
+        </div>
+
+        <div className="metadata-section">
+          <h4>Metadata</h4>
+          <TagEditor
+            tags={metadata.tags || []}
+            allTags={tags}
+            onChange={(nextTags) => updateMetadata({ tags: nextTags.length ? nextTags : undefined })}
+          />
+          <div className="field-group">
+            <label htmlFor="field-notes">Notes</label>
+            <MarkdownField
+              field="notes"
+              label="Notes"
+              value={metadata.notes}
+              placeholder="Click to add notes"
+              editing={editingField === 'notes'}
+              editValue={editValue}
+              onEditValue={setEditValue}
+              onEdit={() => handleEdit('notes', metadata.notes)}
+              onKeyDown={handleKeyPress}
+              onSave={handleSave}
+              onCancel={handleCancel}
+            />
+          </div>
+
+          <MetadataList
+            label="Inputs"
+            items={metadata.inputs}
+            onChange={(inputs) => updateMetadata({ inputs })}
+            sanitize={sanitizeInput}
+          />
+          <MetadataList
+            label="Outputs"
+            items={metadata.outputs}
+            onChange={(outputs) => updateMetadata({ outputs })}
+            sanitize={sanitizeInput}
+          />
         </div>
-          </>
+
+        <TaskSection nodes={selectedNodes} assignees={assignees} onUpdateNodes={onUpdateNodes} />
+
+        <StyleSection nodes={selectedNodes} onUpdateNodes={onUpdateNodes} />
+
+        <CrossLinksSection
+          node={selectedNode}
+          crossLinks={crossLinks}
+          linkDraft={linkDraft}
+          onStartLink={onStartLink}
+          onUpdateCrossLink={onUpdateCrossLink}
+          onDeleteCrossLink={onDeleteCrossLink}
+          onJumpToNode={onJumpToNode}
+        />
+          </fieldset>
         )}
       </div>
     </div>
@@ -1,30 +1,76 @@
-import React from 'react';
+import React, { useRef } from 'react';
+import ExportMenu from './ExportMenu';
+import ShareMenu from './ShareMenu';
+import ExpandMenu from './ExpandMenu';
+import { LAYOUT_MODES } from '../utils/layout';
+import { NODE_THEMES } from '../utils/nodeStyle';
 import './Toolbar.css';
 
 const Toolbar = ({ 
   onExpandAll, 
   onCollapseAll, 
+  onExpandToLevel,
+  onExpandBranch,
+  onRevealSelected,
+  expandDepth,
+  canExpandBranch,
+  canRevealSelected,
   onDrillDown, 
   onDrillUp, 
   onFitView, 
+  layoutMode,
+  onLayoutChange,
+  renderer,
+  onRendererChange,
   onAddNode, 
   onDeleteNode,
-  onDownloadImage, 
-  onDownloadDocs,
+  onExport,
+  onShare,
+  onImport,
   onReset,
+  onUndo,
+  onRedo,
+  onRetrySave,
+  onShowShortcuts,
+  theme,
+  onThemeChange,
   canDrillDown,
   canDrillUp,
-  canDelete
+  canExportSubtree,
+  selectionCount = 0,
+  canDelete,
+  canUndo,
+  canRedo,
+  saveStatus,
+  saveError,
+  readOnly = false
 }) => {
+  const fileInputRef = useRef();
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) onImport(file);
+    // Allow re-importing the same file
+    e.target.value = '';
+  };
+
   return (
-    <div className="toolbar">
+    <div className="toolbar" role="toolbar" aria-label="Mind map actions">
       <div className="toolbar-group">
         <button onClick={onExpandAll} title="Expand All">
-          <span>⊞</span> Expand All
+          <span aria-hidden="true">⊞</span> Expand All
         </button>
         <button onClick={onCollapseAll} title="Collapse All">
-          <span>⊟</span> Collapse All
+          <span aria-hidden="true">⊟</span> Collapse All
         </button>
+        <ExpandMenu
+          depth={expandDepth}
+          onExpandToLevel={onExpandToLevel}
+          onExpandBranch={onExpandBranch}
+          onRevealSelected={onRevealSelected}
+          canExpandBranch={canExpandBranch}
+          canRevealSelected={canRevealSelected}
+        />
       </div>
       
       <div className="toolbar-group">
@@ -33,46 +79,123 @@ const Toolbar = ({
           disabled={!canDrillDown}
           title="Drill Down"
         >
-          <span>↓</span> Drill Down
+          <span aria-hidden="true">↓</span> Drill Down
         </button>
         <button 
           onClick={onDrillUp} 
           disabled={!canDrillUp}
           title="Drill Up"
         >
-          <span>↑</span> Drill Up
+          <span aria-hidden="true">↑</span> Drill Up
         </button>
       </div>
       
       <div className="toolbar-group">
         <button onClick={onFitView} title="Fit View">
-          <span>⌂</span> Fit View
-        </button>
-        <button onClick={onReset} title="Reset to Start">
-          <span>↻</span> Reset
+          <span aria-hidden="true">⌂</span> Fit View
         </button>
+        <select
+          className="toolbar-select"
+          value={layoutMode}
+          onChange={(e) => onLayoutChange(e.target.value)}
+          title="Layout"
+          aria-label="Layout"
+        >
+          {LAYOUT_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+        </select>
+        <select
+          className="toolbar-select"
+          value={theme}
+          onChange={(e) => onThemeChange(e.target.value)}
+          title="Theme"
+          aria-label="Theme"
+        >
+          {Object.entries(NODE_THEMES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select
+          className="toolbar-select"
+          value={renderer}
+          onChange={(e) => onRendererChange(e.target.value)}
+          title="Renderer - canvas is faster for maps with thousands of nodes"
+          aria-label="Renderer"
+        >
+          <option value="svg">SVG</option>
+          <option value="canvas">Canvas</option>
+        </select>
+        {!readOnly && (
+          <button onClick={onReset} title="Reset to Start">
+            <span aria-hidden="true">↻</span> Reset
+          </button>
+        )}
       </div>
       
       <div className="toolbar-group">
-        <button onClick={onAddNode} title="Add Node">
-          <span>+</span> Add Node
-        </button>
-        <button 
-          onClick={onDeleteNode} 
-          disabled={!canDelete}
-          title="Delete Node"
-        >
-          <span>🗑</span> Delete
+        {!readOnly && (
+          <>
+            <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+              <span aria-hidden="true">↶</span> Undo
+            </button>
+            <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+              <span aria-hidden="true">↷</span> Redo
+            </button>
+          </>
+        )}
+        <button onClick={onShowShortcuts} title="Keyboard shortcuts (?)">
+          <span aria-hidden="true">⌨</span> Shortcuts
         </button>
       </div>
       
+      {!readOnly && (
+        <div className="toolbar-group">
+          <button onClick={onAddNode} title="Add Node">
+            <span aria-hidden="true">+</span> Add Node
+          </button>
+          <button 
+            onClick={onDeleteNode} 
+            disabled={!canDelete}
+            title={selectionCount > 1 ? `Delete ${selectionCount} selected nodes` : 'Delete Node'}
+          >
+            <span aria-hidden="true">🗑</span> Delete
+          </button>
+        </div>
+      )}
+      
       <div className="toolbar-group">
-        <button onClick={onDownloadImage} title="Download as Image">
-          <span>📷</span> Image
-        </button>
-        <button onClick={onDownloadDocs} title="Download Full Documentation">
-          <span>📄</span> Docs
-        </button>
+        {!readOnly && (
+          <>
+            <button onClick={() => fileInputRef.current?.click()} title="Import JSON, Markdown outline or OPML">
+              <span aria-hidden="true">📂</span> Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.md,.markdown,.txt,.opml,.xml"
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+          </>
+        )}
+        <ExportMenu onExport={onExport} canExportSubtree={canExportSubtree} selectionCount={selectionCount} />
+        <ShareMenu onShare={onShare} />
+      </div>
+
+      <div className="toolbar-group">
+        {readOnly ? (
+          <div className="save-status read-only" role="status" title="This map can't be changed here - it came with a link or from a newer version of the app">
+            <span aria-hidden="true">🔒</span> Read-only
+          </div>
+        ) : (
+          <div className={`save-status ${saveStatus}`} role="status" title={saveError || undefined}>
+            {saveStatus === 'saving' && <><span aria-hidden="true">●</span> Saving…</>}
+            {saveStatus === 'saved' && <><span aria-hidden="true">✓</span> Saved</>}
+            {saveStatus === 'error' && <><span aria-hidden="true">⚠</span> Save failed</>}
+          </div>
+        )}
+        {!readOnly && saveStatus === 'error' && (
+          <button onClick={onRetrySave} title={`Retry saving: ${saveError}`}>
+            <span aria-hidden="true">↻</span> Retry
+          </button>
+        )}
       </div>
     </div>
   );
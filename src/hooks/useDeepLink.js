@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { parseHash, buildHash, isNavigation } from '../utils/deepLink';
+
+/**
+ * The link in the URL hash: read on load, then again whenever the user goes back or forward
+ * (or edits the address). The setter lets the app navigate without touching the URL itself -
+ * the workspace writes the hash for whatever it ends up showing.
+ */
+export const useHashLink = () => {
+  const [link, setLink] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const handlePopState = () => setLink(parseHash(window.location.hash));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return [link, setLink];
+};
+
+/**
+ * Mirror the workspace state in the URL hash. Drilling and switching maps add a history entry
+ * so back/forward step through them; selection and viewport changes replace the current entry.
+ */
+export const useHashSync = (link) => {
+  const hash = buildHash(link);
+
+  useEffect(() => {
+    const { location, history } = window;
+    if (hash === location.hash) return;
+    const url = `${location.pathname}${location.search}${hash}`;
+    if (location.hash && isNavigation(parseHash(location.hash), parseHash(hash))) {
+      history.pushState(null, '', url);
+    } else {
+      history.replaceState(null, '', url);
+    }
+  }, [hash]);
+};
@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  ACTIVE_DOCUMENT_KEY,
+  LEGACY_KEYS,
+  documentKeys,
+  createDocumentId,
+  readJson,
+  writeJson,
+  removeDocumentData,
+  loadTemplate,
+  createBlankMap
+} from '../utils/documentStorage';
+
+// Create the first document of an empty library, carrying over the
+// single-map storage of earlier versions when it exists
+const createFirstDocument = async (storage) => {
+  const id = createDocumentId();
+  const keys = documentKeys(id);
+  const legacyData = readJson(LEGACY_KEYS.data, null);
+  if (legacyData) {
+    const legacyHistory = localStorage.getItem(LEGACY_KEYS.history);
+    if (legacyHistory) localStorage.setItem(keys.history, legacyHistory);
+    const legacySelected = readJson(LEGACY_KEYS.selectedNode, null);
+    if (legacySelected?.id) writeJson(keys.view, { selectedNodeId: legacySelected.id });
+  }
+  const data = legacyData || await loadTemplate();
+  const meta = await storage.save(id, { name: 'My Mind Map', createdAt: Date.now(), data });
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  return meta;
+};
+
+/**
+ * Custom hook for the library of named mindmap documents
+ * Handles creating, renaming, duplicating, deleting and switching documents
+ * through the given storage adapter
+ */
+export const useDocumentLibrary = (storage) => {
+  const [documents, setDocuments] = useState([]);
+  const [activeDocumentId, setActiveDocumentId] = useState(() => localStorage.getItem(ACTIVE_DOCUMENT_KEY));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const loadRef = useRef(null);
+
+  // Fall back to the first document when the remembered one is gone
+  const activeDocument = documents.find(doc => doc.id === activeDocumentId) || documents[0] || null;
+
+  // Load the library once (shared promise so a re-run effect cannot create two first documents)
+  useEffect(() => {
+    let cancelled = false;
+    if (!loadRef.current) {
+      loadRef.current = storage.list().then(async (docs) => (
+        docs.length > 0 ? docs : [await createFirstDocument(storage)]
+      ));
+    }
+    loadRef.current
+      .then(docs => { if (!cancelled) setDocuments(docs); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [storage]);
+
+  useEffect(() => {
+    if (activeDocument) localStorage.setItem(ACTIVE_DOCUMENT_KEY, activeDocument.id);
+  }, [activeDocument?.id]);
+
+  // New documents start from the bundled template unless a blank map or a tree of their own is given
+  const createDocument = useCallback(async (name, { blank = false, data: initialData } = {}) => {
+    const docName = name.trim() || 'Untitled Map';
+    const data = initialData || (blank ? createBlankMap(docName) : await loadTemplate());
+    const meta = await storage.save(createDocumentId(), { name: docName, createdAt: Date.now(), data });
+    setDocuments(prev => [...prev, meta]);
+    setActiveDocumentId(meta.id);
+  }, [storage]);
+
+  const renameDocument = useCallback(async (documentId, name) => {
+    if (!name.trim()) return;
+    const meta = await storage.save(documentId, { name: name.trim() });
+    setDocuments(prev => prev.map(doc => (doc.id === documentId ? meta : doc)));
+  }, [storage]);
+
+  // Copies the tree and view state; the undo history stays with the original
+  const duplicateDocument = useCallback(async (documentId) => {
+    const source = await storage.load(documentId);
+    if (!source) return;
+    const meta = await storage.save(createDocumentId(), {
+      name: `Copy of ${source.name}`,
+      createdAt: Date.now(),
+      data: source.data
+    });
+    const view = localStorage.getItem(documentKeys(documentId).view);
+    if (view) localStorage.setItem(documentKeys(meta.id).view, view);
+    setDocuments(prev => [...prev, meta]);
+    setActiveDocumentId(meta.id);
+  }, [storage]);
+
+  // The last remaining document cannot be deleted
+  const deleteDocument = useCallback(async (documentId) => {
+    if (documents.length <= 1) return;
+    await storage.delete(documentId);
+    removeDocumentData(documentId);
+    const remaining = documents.filter(doc => doc.id !== documentId);
+    setDocuments(remaining);
+    if (documentId === activeDocument?.id) setActiveDocumentId(remaining[0].id);
+  }, [storage, documents, activeDocument?.id]);
+
+  return {
+    documents,
+    activeDocument,
+    loading,
+    error,
+    switchDocument: setActiveDocumentId,
+    createDocument,
+    renameDocument,
+    duplicateDocument,
+    deleteDocument
+  };
+};
@@ -1,26 +1,118 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { findNodeById, findParentNode, isInSubtree, collectIds, copySubtree, findTopmost, createId } from '../utils/tree';
+import { removeCrossLinksTo } from '../utils/crossLinks';
+import { normalizeTag, replaceTag } from '../utils/tags';
+import { documentKeys, loadTemplate } from '../utils/documentStorage';
+import { SCHEMA_VERSION, repairMindMap, describeProblem } from '../utils/schema';
+
+const HISTORY_LIMIT = 50;
+// Undo steps kept across reloads - each one is a whole tree, so fewer than in memory
+const PERSISTED_HISTORY_LIMIT = 20;
+const SAVE_DEBOUNCE = 400;
+const SAVE_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+
+const emptyHistory = { past: [], future: [] };
+
+// Read persisted undo/redo stacks, falling back to an empty history
+// Snapshots are repaired like the stored map; one that can't be trusted is dropped rather than restored by undo
+const restoreSnapshots = (snapshots) => (Array.isArray(snapshots) ? snapshots.slice(-HISTORY_LIMIT) : []).flatMap(snapshot => {
+  try {
+    const { data, problems } = repairMindMap(snapshot);
+    return problems.some(problem => problem.kind === 'type' || problem.kind === 'version') ? [] : [data];
+  } catch {
+    return [];
+  }
+});
+
+const loadHistory = (historyKey) => {
+  try {
+    const saved = localStorage.getItem(historyKey);
+    if (!saved) return emptyHistory;
+    const { past, future } = JSON.parse(saved);
+    return { past: restoreSnapshots(past), future: restoreSnapshots(future) };
+  } catch (err) {
+    console.warn('Failed to load history from localStorage:', err);
+    return emptyHistory;
+  }
+};
+
+// Write the newest undo/redo steps, halving how many are kept until they fit the storage quota
+const saveHistory = (historyKey, { past, future }) => {
+  for (let limit = PERSISTED_HISTORY_LIMIT; limit >= 0; limit = limit > 1 ? Math.floor(limit / 2) : limit - 1) {
+    try {
+      localStorage.setItem(historyKey, JSON.stringify({
+        past: limit ? past.slice(-limit) : [],
+        future: future.slice(0, limit)
+      }));
+      return;
+    } catch (err) {
+      if (limit === 0) console.warn('Failed to save history to localStorage:', err);
+    }
+  }
+};
+
+// Clean data for JSON serialization (remove circular references)
+const cleanDataForStorage = (node) => {
+  const { parent, siblingIndex, ...cleanNode } = node;
+  if (cleanNode.children) {
+    cleanNode.children = cleanNode.children.map(cleanDataForStorage);
+  }
+  return cleanNode;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Custom hook for managing mindmap data with localStorage persistence
- * Handles loading, saving, updating, adding, and deleting nodes
+ * Custom hook for managing one mindmap document through a storage adapter
+ * Handles loading, saving, updating, adding, moving, and deleting nodes
+ * Every mutation is recorded in a capped undo/redo history
+ * A read-only document ignores every mutation and keeps no history, and so does a document
+ * saved by a newer version of the app (`newerVersion`)
  */
-export const useMindMapData = () => {
-  const [data, setData] = useState(null);
+export const useMindMapData = (documentId, storage, { readOnly = false } = {}) => {
+  const keys = documentKeys(documentId);
+  const [state, setState] = useState({ data: null, ...emptyHistory });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [repairs, setRepairs] = useState([]);
+  // Schema version of a map saved by a newer version of the app, which is opened read-only
+  const [newerVersion, setNewerVersion] = useState(null);
+  const locked = readOnly || newerVersion !== null;
+  const [saveStatus, setSaveStatus] = useState('saved');
+  const [saveError, setSaveError] = useState(null);
+  const { data, past, future } = state;
+  const latestDataRef = useRef(null);
+  const lastSavedRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+  const pendingHistoryRef = useRef(null);
 
-  // Load data on component mount - check localStorage first, then fallback to JSON file
+  // Load data on component mount - from the storage backend, falling back to the template
   useEffect(() => {
     const loadData = async () => {
       try {
-        const savedData = localStorage.getItem('mindmap-data');
-        if (savedData) {
-          setData(JSON.parse(savedData));
+        const record = await storage.load(documentId);
+        if (record?.data) {
+          // Stored maps are brought up to the current schema and repaired before use
+          const { data: loaded, problems } = repairMindMap(record.data);
+          if (problems.some(problem => problem.kind === 'version')) {
+            // Writing our repair back could drop whatever the newer version added, so it is only shown
+            console.warn(`Document ${documentId} is from a newer version of the app:`, problems.map(describeProblem));
+            setNewerVersion(record.data.schemaVersion);
+            lastSavedRef.current = loaded;
+            setState({ data: loaded, ...emptyHistory });
+            return;
+          }
+          if (problems.length) {
+            console.warn(`Repaired ${problems.length} problems in document ${documentId}:`, problems.map(describeProblem));
+          }
+          setRepairs(problems);
+          // A migrated or repaired map is saved back; undo steps recorded before a repair may hold the broken tree
+          const unchanged = problems.length === 0 && record.data.schemaVersion === SCHEMA_VERSION;
+          lastSavedRef.current = unchanged ? loaded : record.data;
+          setState({ data: loaded, ...(readOnly || problems.length ? emptyHistory : loadHistory(keys.history)) });
         } else {
-          const response = await fetch('/mindmap-data.json');
-          if (!response.ok) throw new Error('Failed to load data');
-          const jsonData = await response.json();
-          setData(jsonData);
+          setState({ data: await loadTemplate(), ...emptyHistory });
         }
       } catch (err) {
         setError(err.message);
@@ -29,24 +121,124 @@ export const useMindMapData = () => {
       }
     };
     loadData();
-  }, []);
+  }, [documentId, storage, keys.history, readOnly]);
 
-  // Clean data for JSON serialization (remove circular references)
-  const cleanDataForStorage = (node) => {
-    const { parent, siblingIndex, ...cleanNode } = node;
-    if (cleanNode.children) {
-      cleanNode.children = cleanNode.children.map(cleanDataForStorage);
-    }
-    return cleanNode;
-  };
+  // Saves run one at a time; a save superseded by newer data is skipped,
+  // and failures are retried with exponential backoff before reporting an error
+  const queueSave = useCallback(() => {
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      const dataToSave = latestDataRef.current;
+      if (!dataToSave || dataToSave === lastSavedRef.current) {
+        setSaveStatus('saved');
+        return;
+      }
+      setSaveStatus('saving');
+      for (let attempt = 0; attempt <= SAVE_RETRIES; attempt++) {
+        try {
+          await storage.save(documentId, { data: cleanDataForStorage(dataToSave) });
+          lastSavedRef.current = dataToSave;
+          setSaveError(null);
+          if (latestDataRef.current === dataToSave) setSaveStatus('saved');
+          return;
+        } catch (err) {
+          if (attempt === SAVE_RETRIES) {
+            setSaveError(err.message);
+            setSaveStatus('error');
+            return;
+          }
+          await delay(RETRY_BASE_DELAY * 2 ** attempt);
+        }
+      }
+    });
+  }, [documentId, storage]);
 
-  // Auto-save to localStorage whenever data changes
+  // Auto-save (debounced) whenever data changes
   useEffect(() => {
-    if (data) {
-      const cleanData = cleanDataForStorage(data);
-      localStorage.setItem('mindmap-data', JSON.stringify(cleanData));
-    }
-  }, [data]);
+    latestDataRef.current = data;
+    if (!data || data === lastSavedRef.current) return;
+    setSaveStatus('saving');
+    const timer = setTimeout(queueSave, SAVE_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [data, queueSave]);
+
+  // Flush a pending save when the document is closed
+  useEffect(() => () => {
+    if (latestDataRef.current && latestDataRef.current !== lastSavedRef.current) queueSave();
+  }, [queueSave]);
+
+  // Warn before leaving the page with unsaved changes
+  useEffect(() => {
+    if (saveStatus === 'saved') return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [saveStatus]);
+
+  // Persist history alongside the data so undo survives a reload - debounced like saves,
+  // since serializing every snapshot on each edit stalls large maps
+  useEffect(() => {
+    if (!data || locked) return;
+    pendingHistoryRef.current = { past, future };
+    const timer = setTimeout(() => {
+      saveHistory(keys.history, pendingHistoryRef.current);
+      pendingHistoryRef.current = null;
+    }, SAVE_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [data, past, future, keys.history, locked]);
+
+  // Write pending history when the page is left or the map is closed
+  useEffect(() => {
+    const flushHistory = () => {
+      if (!pendingHistoryRef.current) return;
+      saveHistory(keys.history, pendingHistoryRef.current);
+      pendingHistoryRef.current = null;
+    };
+    window.addEventListener('pagehide', flushHistory);
+    return () => {
+      window.removeEventListener('pagehide', flushHistory);
+      flushHistory();
+    };
+  }, [keys.history]);
+
+  // Apply a tree transformation and record the previous tree for undo
+  const commitChange = useCallback((transform) => {
+    if (locked) return;
+    setState(prev => {
+      if (!prev.data) return prev;
+      const nextData = transform(prev.data);
+      if (nextData === prev.data) return prev;
+      return {
+        data: nextData,
+        past: [...prev.past, prev.data].slice(-HISTORY_LIMIT),
+        future: []
+      };
+    });
+  }, [locked]);
+
+  const undo = useCallback(() => {
+    setState(prev => {
+      if (prev.past.length === 0) return prev;
+      return {
+        data: prev.past[prev.past.length - 1],
+        past: prev.past.slice(0, -1),
+        future: [prev.data, ...prev.future].slice(0, HISTORY_LIMIT)
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState(prev => {
+      if (prev.future.length === 0) return prev;
+      return {
+        data: prev.future[0],
+        past: [...prev.past, prev.data].slice(-HISTORY_LIMIT),
+        future: prev.future.slice(1)
+      };
+    });
+  }, []);
 
   // Update specific node properties (for inline editing)
   const updateNode = useCallback((nodeId, updates) => {
@@ -59,47 +251,244 @@ export const useMindMapData = () => {
       }
       return node;
     };
-    setData(prevData => updateNodeRecursive(prevData));
-  }, []);
+    commitChange(updateNodeRecursive);
+  }, [commitChange]);
+
+  // Update several nodes as one undoable change; `getUpdates(node)` returns each node's changes
+  const updateNodes = useCallback((nodeIds, getUpdates) => {
+    const ids = new Set(nodeIds);
+    const updateRecursive = (node) => {
+      const updated = ids.has(node.id) ? { ...node, ...getUpdates(node) } : node;
+      return updated.children ? { ...updated, children: updated.children.map(updateRecursive) } : updated;
+    };
+    commitChange(updateRecursive);
+  }, [commitChange]);
 
-  // Add new child node to specified parent
-  const addNode = useCallback((parentId, newNode) => {
-    const addNodeRecursive = (node) => {
+  // Insert complete nodes (pasted branches, say) under a parent as one undoable change
+  const insertNodes = useCallback((parentId, nodes, index) => {
+    const insertRecursive = (node) => {
       if (node.id === parentId) {
-        return {
-          ...node,
-          children: [...(node.children || []), {
-            id: `node-${Date.now()}`,
-            title: 'New Node',
-            summary: 'Click to edit',
-            description: 'Add your description here',
-            metadata: { notes: '', inputs: [], outputs: [] },
-            children: [],
-            ...newNode
-          }]
-        };
+        const children = [...(node.children || [])];
+        children.splice(index === undefined ? children.length : index, 0, ...nodes);
+        return { ...node, children };
       }
       if (node.children) {
-        return { ...node, children: node.children.map(addNodeRecursive) };
+        return { ...node, children: node.children.map(insertRecursive) };
       }
       return node;
     };
-    setData(prevData => addNodeRecursive(prevData));
-  }, []);
+    commitChange(insertRecursive);
+  }, [commitChange]);
 
-  // Delete node and all its children
-  const deleteNode = useCallback((nodeId) => {
-    const deleteNodeRecursive = (node) => {
-      if (node.children) {
+  // Add new child node to specified parent, appended or inserted at `index`.
+  // Returns the new node's id so callers can select it, or null when the map is locked.
+  const addNode = useCallback((parentId, newNode, index) => {
+    if (locked) return null;
+    const child = {
+      id: createId('node'),
+      title: 'New Node',
+      summary: 'Click to edit',
+      description: 'Add your description here',
+      metadata: { notes: '', inputs: [], outputs: [] },
+      children: [],
+      ...newNode
+    };
+    insertNodes(parentId, [child], index);
+    return child.id;
+  }, [locked, insertNodes]);
+
+  // Insert a copy of each node's subtree right after it, as one undoable change.
+  // Returns the copies' ids; the root can't be duplicated.
+  const duplicateNodes = useCallback((nodeIds) => {
+    const copies = new Map(
+      findTopmost(data, new Set(nodeIds)).filter(node => node !== data).map(node => [node.id, copySubtree(node)])
+    );
+    if (copies.size === 0) return [];
+    const duplicateRecursive = (node) => {
+      if (!node.children) return node;
+      return {
+        ...node,
+        children: node.children.flatMap(child => (copies.has(child.id)
+          ? [duplicateRecursive(child), copies.get(child.id)]
+          : [duplicateRecursive(child)]))
+      };
+    };
+    commitChange(duplicateRecursive);
+    return [...copies.values()].map(copy => copy.id);
+  }, [data, commitChange]);
+
+  // Delete nodes and all their children, along with any cross-links pointing into them.
+  // The root stays; deleting several nodes is a single undo step.
+  const deleteNodes = useCallback((nodeIds) => {
+    commitChange(prevData => {
+      const deleted = findTopmost(prevData, new Set(nodeIds)).filter(node => node !== prevData);
+      if (deleted.length === 0) return prevData;
+      const deletedIds = new Set(deleted.map(node => node.id));
+      const deleteRecursive = (node) => {
+        if (node.children) {
+          return {
+            ...node,
+            children: node.children.filter(child => !deletedIds.has(child.id)).map(deleteRecursive)
+          };
+        }
+        return node;
+      };
+      return removeCrossLinksTo(deleteRecursive(prevData), new Set(deleted.flatMap(collectIds)));
+    });
+  }, [commitChange]);
+
+  const deleteNode = useCallback((nodeId) => deleteNodes([nodeId]), [deleteNodes]);
+
+  // Move node (with its subtree) under a new parent at the given child index.
+  // The index refers to the target parent's children before the move; omit it to append.
+  const moveNode = useCallback((nodeId, newParentId, index) => {
+    commitChange(prevData => {
+      const movingNode = findNodeById(prevData, nodeId);
+      const oldParent = findParentNode(prevData, nodeId);
+      // Reject moving the root or dropping a node into its own subtree
+      if (!movingNode || !oldParent || isInSubtree(movingNode, newParentId)) return prevData;
+      if (!findNodeById(prevData, newParentId)) return prevData;
+
+      const oldIndex = oldParent.children.findIndex(child => child.id === nodeId);
+      const siblingCount = findNodeById(prevData, newParentId).children?.length || 0;
+      let targetIndex = index === undefined ? siblingCount : Math.max(0, Math.min(index, siblingCount));
+      if (oldParent.id === newParentId) {
+        if (targetIndex > oldIndex) targetIndex -= 1;
+        if (targetIndex === oldIndex) return prevData;
+      }
+
+      const removeRecursive = (node) => {
+        if (!node.children) return node;
+        return {
+          ...node,
+          children: node.children.filter(child => child.id !== nodeId).map(removeRecursive)
+        };
+      };
+      const insertRecursive = (node) => {
+        if (node.id === newParentId) {
+          const children = [...(node.children || [])];
+          children.splice(targetIndex, 0, movingNode);
+          return { ...node, children };
+        }
+        if (node.children) {
+          return { ...node, children: node.children.map(insertRecursive) };
+        }
+        return node;
+      };
+      return insertRecursive(removeRecursive(prevData));
+    });
+  }, [commitChange]);
+
+  // Move several nodes under one parent, keeping their document order, as a single undo step.
+  // Nodes inside another moving node go along with it; nothing moves if the parent is inside one of them.
+  const moveNodes = useCallback((nodeIds, newParentId, index) => {
+    commitChange(prevData => {
+      const moving = findTopmost(prevData, new Set(nodeIds));
+      const newParent = findNodeById(prevData, newParentId);
+      if (!newParent || moving.length === 0 || moving.some(node => node === prevData || isInSubtree(node, newParentId))) {
+        return prevData;
+      }
+      const movingIds = new Set(moving.map(node => node.id));
+      // The index counts the parent's children before the move, some of which may be leaving
+      const siblings = newParent.children || [];
+      const end = index === undefined ? siblings.length : Math.max(0, Math.min(index, siblings.length));
+      const targetIndex = siblings.slice(0, end).filter(child => !movingIds.has(child.id)).length;
+
+      const removeRecursive = (node) => {
+        if (!node.children) return node;
         return {
           ...node,
-          children: node.children.filter(child => child.id !== nodeId).map(deleteNodeRecursive)
+          children: node.children.filter(child => !movingIds.has(child.id)).map(removeRecursive)
         };
+      };
+      const insertRecursive = (node) => {
+        if (node.id === newParentId) {
+          const children = [...(node.children || [])];
+          children.splice(targetIndex, 0, ...moving);
+          return { ...node, children };
+        }
+        if (node.children) {
+          return { ...node, children: node.children.map(insertRecursive) };
+        }
+        return node;
+      };
+      return insertRecursive(removeRecursive(prevData));
+    });
+  }, [commitChange]);
+
+  // Cross-links live on their source node; see ../utils/crossLinks.js
+  const updateCrossLinks = useCallback((sourceId, transform) => {
+    const updateRecursive = (node) => {
+      if (node.id === sourceId) {
+        const crossLinks = transform(node.crossLinks || []);
+        return crossLinks === node.crossLinks ? node : { ...node, crossLinks };
+      }
+      if (node.children) {
+        return { ...node, children: node.children.map(updateRecursive) };
       }
       return node;
     };
-    setData(prevData => deleteNodeRecursive(prevData));
-  }, []);
+    commitChange(updateRecursive);
+  }, [commitChange]);
+
+  // Link two distinct nodes; a second link of the same type between them is ignored.
+  // Returns the new link's id, or null when nothing was added.
+  const addCrossLink = useCallback((sourceId, targetId, { type, label = '' }) => {
+    if (locked) return null;
+    if (sourceId === targetId || !findNodeById(data, sourceId) || !findNodeById(data, targetId)) return null;
+    const existing = findNodeById(data, sourceId).crossLinks || [];
+    if (existing.some(link => link.target === targetId && link.type === type)) return null;
+    const link = { id: createId('link'), target: targetId, type, label };
+    updateCrossLinks(sourceId, links => [...links, link]);
+    return link.id;
+  }, [locked, data, updateCrossLinks]);
+
+  const updateCrossLink = useCallback((sourceId, linkId, updates) => {
+    updateCrossLinks(sourceId, links => links.map(link => (link.id === linkId ? { ...link, ...updates } : link)));
+  }, [updateCrossLinks]);
 
-  return { data, loading, error, updateNode, addNode, deleteNode };
-};
\ No newline at end of file
+  const deleteCrossLink = useCallback((sourceId, linkId) => {
+    updateCrossLinks(sourceId, links => links.filter(link => link.id !== linkId));
+  }, [updateCrossLinks]);
+
+  // Rename a tag on every node; renaming onto an existing tag merges the two
+  const renameTag = useCallback((from, to) => {
+    const tag = normalizeTag(to);
+    if (!tag || tag === from) return;
+    commitChange(root => replaceTag(root, from, tag));
+  }, [commitChange]);
+
+  // Replace the whole tree (e.g. after an import) as a single undoable change
+  const replaceData = useCallback((newData) => {
+    commitChange(() => newData);
+  }, [commitChange]);
+
+  return {
+    data,
+    loading,
+    error,
+    repairs,
+    newerVersion,
+    updateNode,
+    updateNodes,
+    addNode,
+    insertNodes,
+    deleteNode,
+    deleteNodes,
+    duplicateNodes,
+    moveNode,
+    moveNodes,
+    addCrossLink,
+    updateCrossLink,
+    deleteCrossLink,
+    renameTag,
+    replaceData,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    saveStatus,
+    saveError,
+    retrySave: queueSave
+  };
+};
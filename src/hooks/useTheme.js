@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { NODE_THEMES } from '../utils/nodeStyle';
+
+const THEME_KEY = 'mindmap-theme';
+
+// Saved choice first, then the system's contrast preference
+const initialTheme = () => {
+  const saved = localStorage.getItem(THEME_KEY);
+  if (saved && NODE_THEMES[saved]) return saved;
+  return window.matchMedia?.('(prefers-contrast: more)').matches ? 'high-contrast' : 'default';
+};
+
+/**
+ * Custom hook for the color theme shared by all documents
+ * Mirrors the theme onto <html data-theme> so stylesheets can follow it
+ */
+export const useTheme = () => {
+  const [theme, setTheme] = useState(initialTheme);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+    localStorage.setItem(THEME_KEY, theme);
+  }, [theme]);
+
+  return [theme, setTheme];
+};
@@ -0,0 +1,28 @@
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createRestAdapter } from './restAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+/**
+ * Storage adapters share one async interface:
+ *   list()                 -> document metadata [{ id, name, createdAt, updatedAt }]
+ *   load(id)               -> { ...metadata, data } or null
+ *   save(id, changes)      -> merges changes ({ name?, createdAt?, data? }) and returns the metadata
+ *   delete(id)
+ *
+ * The backend is picked from Vite env vars:
+ *   VITE_STORAGE_BACKEND   local (default) | indexeddb | rest
+ *   VITE_STORAGE_ENDPOINT  base URL for the rest backend, e.g. http://localhost:3001/api
+ */
+export const createStorageAdapter = (env = import.meta.env) => {
+  switch (env.VITE_STORAGE_BACKEND) {
+    case 'indexeddb':
+      return createIndexedDbAdapter();
+    case 'rest':
+      return createRestAdapter({ endpoint: env.VITE_STORAGE_ENDPOINT });
+    default:
+      return createLocalStorageAdapter();
+  }
+};
+
+export { createLocalStorageAdapter, createIndexedDbAdapter, createRestAdapter, createMemoryAdapter };
@@ -0,0 +1,76 @@
+/**
+ * Storage adapter backed by IndexedDB - suited to large maps that outgrow localStorage
+ * Each document is one record { id, name, createdAt, updatedAt, data } in a single object store
+ */
+
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbAdapter = ({ databaseName = 'mindmap' } = {}) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(databaseName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      dbPromise = promisify(request).catch(err => {
+        // Allow a later call to try opening again
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(STORE_NAME));
+    await completed;
+    return result;
+  };
+
+  const toMeta = ({ data, ...meta }) => meta;
+
+  return {
+    name: 'indexeddb',
+
+    async list() {
+      const records = await withStore('readonly', store => promisify(store.getAll()));
+      return records.map(toMeta).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    },
+
+    async load(documentId) {
+      const record = await withStore('readonly', store => promisify(store.get(documentId)));
+      return record || null;
+    },
+
+    async save(documentId, changes) {
+      return withStore('readwrite', async store => {
+        const existing = await promisify(store.get(documentId));
+        const record = { ...existing, ...changes, id: documentId, updatedAt: Date.now() };
+        await promisify(store.put(record));
+        return toMeta(record);
+      });
+    },
+
+    async delete(documentId) {
+      await withStore('readwrite', store => promisify(store.delete(documentId)));
+    }
+  };
+};
@@ -0,0 +1,47 @@
+import { LIBRARY_KEY, documentKeys, readJson, writeJson } from '../utils/documentStorage';
+
+/**
+ * Storage adapter backed by window.localStorage
+ * Document metadata lives in one index entry, each tree under its own key
+ */
+export const createLocalStorageAdapter = () => {
+  const readIndex = () => {
+    const index = readJson(LIBRARY_KEY, []);
+    return Array.isArray(index) ? index : [];
+  };
+
+  // localStorage throws on quota errors; let them reach the caller's retry logic
+  const write = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+  return {
+    name: 'local',
+
+    async list() {
+      return readIndex();
+    },
+
+    async load(documentId) {
+      const meta = readIndex().find(doc => doc.id === documentId);
+      if (!meta) return null;
+      return { ...meta, data: readJson(documentKeys(documentId).data, null) };
+    },
+
+    async save(documentId, changes) {
+      const { data, ...metaChanges } = changes;
+      if (data !== undefined) write(documentKeys(documentId).data, data);
+
+      const index = readIndex();
+      const existing = index.find(doc => doc.id === documentId);
+      const meta = { ...existing, ...metaChanges, id: documentId, updatedAt: Date.now() };
+      writeJson(LIBRARY_KEY, existing
+        ? index.map(doc => (doc.id === documentId ? meta : doc))
+        : [...index, meta]);
+      return meta;
+    },
+
+    async delete(documentId) {
+      localStorage.removeItem(documentKeys(documentId).data);
+      writeJson(LIBRARY_KEY, readIndex().filter(doc => doc.id !== documentId));
+    }
+  };
+};
@@ -0,0 +1,30 @@
+/**
+ * Storage adapter that keeps documents in memory only - for maps opened from a link,
+ * which are not part of the library and disappear with the page
+ */
+export const createMemoryAdapter = (documents = []) => {
+  const records = new Map(documents.map(doc => [doc.id, doc]));
+  const toMeta = ({ data, ...meta }) => meta;
+
+  return {
+    name: 'memory',
+
+    async list() {
+      return [...records.values()].map(toMeta);
+    },
+
+    async load(documentId) {
+      return records.get(documentId) || null;
+    },
+
+    async save(documentId, changes) {
+      const record = { ...records.get(documentId), ...changes, id: documentId, updatedAt: Date.now() };
+      records.set(documentId, record);
+      return toMeta(record);
+    },
+
+    async delete(documentId) {
+      records.delete(documentId);
+    }
+  };
+};
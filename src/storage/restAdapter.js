@@ -0,0 +1,42 @@
+/**
+ * Storage adapter for a REST backend
+ *   GET    {endpoint}/documents      -> [{ id, name, createdAt, updatedAt }]
+ *   GET    {endpoint}/documents/:id  -> { id, name, createdAt, updatedAt, data } or 404
+ *   PATCH  {endpoint}/documents/:id  -> merges the body into the document, creating it if needed
+ *   DELETE {endpoint}/documents/:id
+ */
+export const createRestAdapter = ({ endpoint, fetchImpl = (...args) => fetch(...args) }) => {
+  if (!endpoint) throw new Error('REST storage requires an endpoint');
+  const baseUrl = endpoint.replace(/\/+$/, '');
+  const documentUrl = (documentId) => `${baseUrl}/documents/${encodeURIComponent(documentId)}`;
+
+  const request = async (url, options = {}) => {
+    const response = await fetchImpl(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Storage request failed: ${response.status} ${response.statusText}`);
+    return response.status === 204 ? null : response.json();
+  };
+
+  return {
+    name: 'rest',
+
+    async list() {
+      return (await request(`${baseUrl}/documents`)) || [];
+    },
+
+    async load(documentId) {
+      return request(documentUrl(documentId));
+    },
+
+    async save(documentId, changes) {
+      return request(documentUrl(documentId), { method: 'PATCH', body: JSON.stringify(changes) });
+    },
+
+    async delete(documentId) {
+      await request(documentUrl(documentId), { method: 'DELETE' });
+    }
+  };
+};
@@ -0,0 +1,265 @@
+import {
+  getThemeColors,
+  getNodeAppearance,
+  getShapeOutline,
+  getContentOffsets,
+  wrapTitle,
+  getExpandBadge,
+  ICON_FONT_SIZE,
+  TITLE_LINE_HEIGHT
+} from './nodeStyle';
+import { getCrossLinkType } from './crossLinks';
+import { getTaskBadge, TASK_COLORS } from './tasks';
+import { layoutTagChips, getTagChipsTop, TAG_TEXT_COLOR, TAG_FONT_SIZE } from './tags';
+
+/**
+ * Canvas renderer for very large maps.
+ * Draws the same picture as Link and Node do in SVG (without animation) in a single pass,
+ * so thousands of nodes cost one draw call per frame instead of thousands of DOM elements.
+ */
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const GRID_SIZE = 20;
+
+const drawGrid = (context, width, height) => {
+  context.beginPath();
+  for (let x = 0; x <= width; x += GRID_SIZE) {
+    context.moveTo(x + 0.5, 0);
+    context.lineTo(x + 0.5, height);
+  }
+  for (let y = 0; y <= height; y += GRID_SIZE) {
+    context.moveTo(0, y + 0.5);
+    context.lineTo(width, y + 0.5);
+  }
+  context.strokeStyle = '#333';
+  context.lineWidth = 0.5;
+  context.stroke();
+};
+
+// Path of a node's shape centered on (x, y), grown by `offset` for rings
+const traceShape = (context, x, y, appearance, offset = 0) => {
+  context.beginPath();
+  if (appearance.shape === 'circle') {
+    context.arc(x, y, appearance.size + offset, 0, Math.PI * 2);
+    return;
+  }
+  const outline = getShapeOutline(appearance, offset);
+  context.roundRect(x + outline.x, y + outline.y, outline.width, outline.height, outline.rx);
+};
+
+const strokeShape = (context, x, y, appearance, offset, color, lineWidth, alpha) => {
+  context.globalAlpha = alpha;
+  traceShape(context, x, y, appearance, offset);
+  context.strokeStyle = color;
+  context.lineWidth = lineWidth;
+  context.stroke();
+};
+
+// Roll-up ring of the tasks below a node, filled clockwise from the top like the SVG one
+const drawProgress = (context, x, y, appearance, { done, total }, alpha) => {
+  strokeShape(context, x, y, appearance, 3, TASK_COLORS.track, 3, alpha);
+  if (!done) return;
+  context.beginPath();
+  if (appearance.shape === 'circle') {
+    const start = -Math.PI / 2;
+    context.arc(x, y, appearance.size + 3, start, start + (Math.PI * 2 * done) / total);
+    context.stroke();
+  } else {
+    const outline = getShapeOutline(appearance, 3);
+    const perimeter = 2 * (outline.width + outline.height) - (8 - 2 * Math.PI) * outline.rx;
+    traceShape(context, x, y, appearance, 3);
+    context.setLineDash([(perimeter * done) / total, perimeter]);
+  }
+  context.strokeStyle = TASK_COLORS.done;
+  context.stroke();
+  context.setLineDash([]);
+};
+
+// Dashed curve with an arrowhead at the target and the label at its midpoint
+const drawCrossLink = (context, link, { alpha, highlighted, showLabel, halo }) => {
+  const { color, dash, label: typeLabel } = getCrossLinkType(link.type);
+  const { start, control, end } = link;
+  context.globalAlpha = alpha;
+  context.strokeStyle = color;
+  context.fillStyle = color;
+  context.lineWidth = highlighted ? 3 : 2;
+  context.setLineDash(dash.split(' ').map(Number));
+  context.beginPath();
+  context.moveTo(start.x, start.y);
+  context.quadraticCurveTo(control.x, control.y, end.x, end.y);
+  context.stroke();
+  context.setLineDash([]);
+
+  const angle = Math.atan2(end.y - control.y, end.x - control.x);
+  context.beginPath();
+  context.moveTo(end.x + Math.cos(angle) * 4, end.y + Math.sin(angle) * 4);
+  context.lineTo(end.x + Math.cos(angle + 2.6) * 9, end.y + Math.sin(angle + 2.6) * 9);
+  context.lineTo(end.x + Math.cos(angle - 2.6) * 9, end.y + Math.sin(angle - 2.6) * 9);
+  context.fill();
+
+  if (!showLabel) return;
+  context.font = `11px ${FONT_FAMILY}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.lineWidth = 4;
+  context.strokeStyle = halo;
+  context.strokeText(link.label || typeLabel, link.labelX, link.labelY);
+  context.fillText(link.label || typeLabel, link.labelX, link.labelY);
+};
+
+/**
+ * Draw a culled layout.
+ * `state` carries what the SVG components get as props: selection, hover, search matches,
+ * the dimming predicate, task roll-ups, descendant counts and the level of detail.
+ */
+export const drawMap = (context, {
+  nodes,
+  links,
+  crossLinks = [],
+  transform,
+  width,
+  height,
+  pixelRatio,
+  theme,
+  detail,
+  selectedIds,
+  hoveredId,
+  matchIds,
+  isDimmed,
+  taskProgress,
+  descendantCounts,
+  today
+}) => {
+  const colors = getThemeColors(theme);
+  context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  context.globalAlpha = 1;
+  context.fillStyle = colors.background;
+  context.fillRect(0, 0, width, height);
+  drawGrid(context, width, height);
+
+  context.translate(transform.x, transform.y);
+  context.scale(transform.k, transform.k);
+
+  // Links: one path per opacity instead of one stroke per link
+  const linkGroups = { normal: [], dimmed: [], highlighted: [] };
+  links.forEach(link => {
+    if (hoveredId && (link.source === hoveredId || link.target === hoveredId)) linkGroups.highlighted.push(link);
+    else if (isDimmed(link.target)) linkGroups.dimmed.push(link);
+    else linkGroups.normal.push(link);
+  });
+  [['dimmed', 0.15], ['normal', 0.6], ['highlighted', 1]].forEach(([group, alpha]) => {
+    if (linkGroups[group].length === 0) return;
+    context.globalAlpha = alpha;
+    context.beginPath();
+    linkGroups[group].forEach(({ sourcePos, targetPos }) => {
+      context.moveTo(sourcePos.x, sourcePos.y);
+      context.lineTo(targetPos.x, targetPos.y);
+    });
+    context.strokeStyle = colors.link;
+    context.lineWidth = 2;
+    context.stroke();
+  });
+
+  crossLinks.forEach(link => {
+    const isEnd = (nodeId) => nodeId === link.source || nodeId === link.target;
+    const highlighted = isEnd(hoveredId) || selectedIds.has(link.source) || selectedIds.has(link.target);
+    drawCrossLink(context, link, {
+      alpha: isDimmed(link.source) || isDimmed(link.target) ? 0.15 : highlighted ? 1 : 0.75,
+      highlighted,
+      showLabel: detail !== 'shapes',
+      halo: colors.background
+    });
+  });
+
+  nodes.forEach(node => {
+    const { x, y, level } = node;
+    const appearance = getNodeAppearance(node, theme);
+    const isSelected = selectedIds.has(node.id);
+    const alpha = isDimmed(node.id) ? 0.2 : 1;
+
+    if (matchIds?.has(node.id)) strokeShape(context, x, y, appearance, 9, '#ffb300', 3, alpha);
+    if (isSelected || node.id === hoveredId) {
+      strokeShape(context, x, y, appearance, 6, isSelected ? '#4a9eff' : '#fff', 3, (isSelected ? 0.8 : 0.4) * alpha);
+    }
+
+    const progress = taskProgress?.get(node.id);
+    if (progress) drawProgress(context, x, y, appearance, progress, alpha);
+
+    context.globalAlpha = alpha * (node.id === hoveredId ? 0.8 : 1);
+    traceShape(context, x, y, appearance);
+    context.fillStyle = appearance.fill;
+    context.fill();
+    if (isSelected) {
+      strokeShape(context, x, y, appearance, 0, '#fff', 2, alpha);
+    } else if (appearance.border) {
+      context.setLineDash(appearance.border.dash === 'none' ? [] : appearance.border.dash.split(' ').map(Number));
+      strokeShape(context, x, y, appearance, 0, appearance.border.color, 3, alpha);
+      context.setLineDash([]);
+    }
+
+    context.globalAlpha = alpha;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    if (detail !== 'shapes') {
+      const fontSize = level === 0 ? 18 : 16;
+      const lines = wrapTitle(node.title || '', level);
+      const lineHeight = fontSize * TITLE_LINE_HEIGHT;
+      const { iconY, firstLineY } = getContentOffsets(lines.length, fontSize, Boolean(appearance.icon));
+      context.fillStyle = appearance.text;
+      if (appearance.icon) {
+        context.font = `${ICON_FONT_SIZE}px ${FONT_FAMILY}`;
+        context.fillText(appearance.icon, x, y + iconY);
+      }
+      context.font = `${level === 0 ? 'bold ' : ''}${fontSize}px ${FONT_FAMILY}`;
+      lines.forEach((line, i) => context.fillText(line, x, y + firstLineY + i * lineHeight));
+    }
+
+    if (detail === 'full' && node.metadata?.tags?.length) {
+      context.font = `${TAG_FONT_SIZE}px ${FONT_FAMILY}`;
+      layoutTagChips(node.metadata.tags, getTagChipsTop(appearance)).forEach(chip => {
+        context.beginPath();
+        context.roundRect(x + chip.x, y + chip.y, chip.width, chip.height, chip.height / 2);
+        context.fillStyle = chip.color;
+        context.fill();
+        context.strokeStyle = colors.background;
+        context.lineWidth = 1.5;
+        context.stroke();
+        context.fillStyle = TAG_TEXT_COLOR;
+        context.fillText(chip.label, x + chip.x + chip.width / 2, y + chip.y + chip.height / 2);
+      });
+    }
+
+    const taskBadge = detail === 'full' && getTaskBadge(node.task, today);
+    if (taskBadge) {
+      const badgeX = x - appearance.badge.x;
+      const badgeY = y + appearance.badge.y;
+      context.beginPath();
+      context.arc(badgeX, badgeY, 8, 0, Math.PI * 2);
+      context.fillStyle = taskBadge.fill;
+      context.fill();
+      context.strokeStyle = taskBadge.stroke;
+      context.lineWidth = 1.5;
+      context.stroke();
+      context.font = `bold 10px ${FONT_FAMILY}`;
+      context.fillStyle = '#fff';
+      context.fillText(taskBadge.symbol, badgeX, badgeY);
+    }
+
+    if (detail === 'full' && node.children?.length) {
+      const badge = getExpandBadge(appearance, node._expanded, descendantCounts.get(node.id));
+      context.beginPath();
+      context.roundRect(x + badge.x - badge.width / 2, y + badge.y - badge.height / 2, badge.width, badge.height, badge.height / 2);
+      context.fillStyle = '#333';
+      context.fill();
+      context.strokeStyle = '#fff';
+      context.lineWidth = 1;
+      context.stroke();
+      context.font = `10px ${FONT_FAMILY}`;
+      context.fillStyle = '#fff';
+      context.fillText(badge.label, x + badge.x, y + badge.y);
+    }
+  });
+
+  context.globalAlpha = 1;
+};
@@ -0,0 +1,40 @@
+import { toMarkdown } from './exporters';
+import { parseTextOutline } from './importers';
+import { repairMindMap } from './schema';
+import { copySubtree } from './tree';
+import { readJson, writeJson } from './documentStorage';
+
+/**
+ * Copying and pasting branches. The system clipboard gets a Markdown outline any app can paste;
+ * the nodes themselves (with styles, tasks and cross-links) are kept in localStorage, so they
+ * paste back intact into any map for as long as the system clipboard still holds that outline.
+ */
+
+export const CLIPBOARD_KEY = 'mindmap-clipboard';
+
+// Clipboards may hand text back with other line endings or trailing whitespace
+const normalizeText = (text) => text.replace(/\r\n?/g, '\n').trim();
+
+// Remember copied branches; returns the outline for the system clipboard
+export const writeClipboard = (branches) => {
+  const text = branches.map(branch => toMarkdown(branch).trim()).join('\n\n');
+  writeJson(CLIPBOARD_KEY, { text: normalizeText(text), branches });
+  return text;
+};
+
+/**
+ * The branches to paste for the text on the system clipboard: our own copy when the text is
+ * the outline we put there, otherwise the text read as an outline. They get fresh node and link ids;
+ * links to nodes that are neither pasted nor in `existingIds` (another map's nodes) are dropped.
+ */
+export const readClipboard = (text, existingIds) => {
+  const stored = readJson(CLIPBOARD_KEY, null);
+  const branches = stored?.text === normalizeText(text) && Array.isArray(stored.branches)
+    ? stored.branches
+    : parseTextOutline(text);
+  // localStorage may hold anything by now, so the branches are repaired like a loaded map;
+  // that also drops fields only the root has, such as the schema version of a copied root
+  const repaired = repairMindMap({ title: '', children: branches }, { outsideIds: existingIds }).data.children;
+  // Copied together so links between the branches point at the copies
+  return copySubtree({ id: 'clipboard', children: repaired }).children;
+};
@@ -0,0 +1,91 @@
+/**
+ * Cross-links: typed relationships between any two nodes, outside the parent-child tree.
+ * Each link is stored on its source node as { id, target, type, label } in `node.crossLinks`,
+ * so it moves, copies and undoes together with that node. Links never affect the layout.
+ */
+
+// `label` reads source → target, `inverse` reads target ← source (for the incoming list)
+export const CROSS_LINK_TYPES = {
+  'depends-on': { label: 'Depends on', inverse: 'Required by', color: '#ff9f43', dash: '8 5' },
+  calls: { label: 'Calls', inverse: 'Called by', color: '#48dbfb', dash: '3 4' },
+  'data-flow': { label: 'Sends data to', inverse: 'Receives data from', color: '#1dd1a1', dash: '10 4 2 4' },
+  related: { label: 'Related to', inverse: 'Related to', color: '#c8d6e5', dash: '5 5' }
+};
+
+export const DEFAULT_CROSS_LINK_TYPE = 'depends-on';
+
+export const getCrossLinkType = (type) => CROSS_LINK_TYPES[type] || CROSS_LINK_TYPES.related;
+
+// Every cross-link in a tree, flattened to { id, source, target, type, label }
+export const collectCrossLinks = (root) => {
+  const links = [];
+  const walk = (node) => {
+    (node.crossLinks || []).forEach(link => links.push({ ...link, source: node.id }));
+    (node.children || []).forEach(walk);
+  };
+  if (root) walk(root);
+  return links;
+};
+
+// Drop links that point at any of `ids`; untouched nodes keep their identity
+export const removeCrossLinksTo = (node, ids) => {
+  let changed = false;
+  let { crossLinks } = node;
+  if (crossLinks?.some(link => ids.has(link.target))) {
+    crossLinks = crossLinks.filter(link => !ids.has(link.target));
+    changed = true;
+  }
+  let { children } = node;
+  if (children) {
+    const nextChildren = children.map(child => removeCrossLinksTo(child, ids));
+    if (nextChildren.some((child, i) => child !== children[i])) {
+      children = nextChildren;
+      changed = true;
+    }
+  }
+  return changed ? { ...node, crossLinks, children } : node;
+};
+
+/**
+ * Curved edge between two laid-out nodes ({ x, y, radius }).
+ * The curve bows to the left of source → target, so links in opposite directions
+ * between the same pair don't overlap. Ends are trimmed to the node circles.
+ */
+export const getCrossLinkGeometry = (source, target) => {
+  const dx = target.x - source.x;
+  const dy = target.y - source.y;
+  const distance = Math.hypot(dx, dy) || 1;
+  const bend = Math.max(30, distance * 0.25);
+  const control = {
+    x: (source.x + target.x) / 2 + (dy / distance) * bend,
+    y: (source.y + target.y) / 2 - (dx / distance) * bend
+  };
+  const trim = (node, gap) => {
+    const cx = control.x - node.x;
+    const cy = control.y - node.y;
+    const length = Math.hypot(cx, cy) || 1;
+    return { x: node.x + (cx / length) * (node.radius + gap), y: node.y + (cy / length) * (node.radius + gap) };
+  };
+  const start = trim(source, 4);
+  const end = trim(target, 8);
+  return {
+    start,
+    end,
+    control,
+    path: `M${start.x},${start.y}Q${control.x},${control.y} ${end.x},${end.y}`,
+    // Midpoint of the quadratic curve (t = 0.5)
+    labelX: (start.x + 2 * control.x + end.x) / 4,
+    labelY: (start.y + 2 * control.y + end.y) / 4
+  };
+};
+
+/**
+ * Cross-links whose two ends are both laid out, with their geometry.
+ * `nodesById` maps ids to laid-out nodes.
+ */
+export const layoutCrossLinks = (links, nodesById) => links.reduce((visible, link) => {
+  const source = nodesById.get(link.source);
+  const target = nodesById.get(link.target);
+  if (source && target && source !== target) visible.push({ ...link, ...getCrossLinkGeometry(source, target) });
+  return visible;
+}, []);
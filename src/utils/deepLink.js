@@ -0,0 +1,92 @@
+import { MAX_IMPORT_SIZE } from './importers';
+
+/**
+ * Shareable links. The URL hash carries the open document, drill path, selected node and viewport:
+ *
+ *   #doc=doc-abc&drill=api&drill=auth&node=tokens&view=120,-40,1.5
+ *
+ * `view` is the map point at the center of the screen and the zoom level, so a link shows the
+ * same place on any screen size. Instead of `doc`, a small map can travel inside the link itself
+ * as `map=` (deflated JSON in base64url); such links open read-only.
+ */
+
+// Embedded maps beyond this many characters make links too long to paste reliably
+export const MAX_EMBED_LENGTH = 8000;
+// Anything longer is not a link we made - don't spend time inflating it
+const MAX_MAP_PARAM_LENGTH = 64 * 1024;
+
+export const emptyLink = { documentId: null, map: null, drillPath: [], selectedNodeId: null, view: null };
+
+export const parseHash = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const view = (params.get('view') || '').split(',').map(Number);
+  const map = params.get('map');
+  return {
+    documentId: params.get('doc'),
+    map: map && map.length <= MAX_MAP_PARAM_LENGTH ? map : null,
+    drillPath: params.getAll('drill').filter(Boolean),
+    selectedNodeId: params.get('node'),
+    view: view.length === 3 && view.every(Number.isFinite) && view[2] > 0 ? { x: view[0], y: view[1], k: view[2] } : null
+  };
+};
+
+// Built by hand rather than with URLSearchParams so the view keeps readable commas
+export const buildHash = ({ documentId, map, drillPath = [], selectedNodeId, view }) => {
+  const param = (key, value) => `${key}=${encodeURIComponent(value)}`;
+  const parts = [map ? param('map', map) : documentId ? param('doc', documentId) : null];
+  drillPath.forEach(id => parts.push(param('drill', id)));
+  if (selectedNodeId) parts.push(param('node', selectedNodeId));
+  if (view) parts.push(`view=${Math.round(view.x)},${Math.round(view.y)},${Number(view.k.toFixed(3))}`);
+  const hash = parts.filter(Boolean).join('&');
+  return hash ? `#${hash}` : '';
+};
+
+// Drilling or switching maps is a navigation worth a history entry; selection and panning are not
+export const isNavigation = (from, to) =>
+  from.documentId !== to.documentId || from.map !== to.map || from.drillPath.join('\n') !== to.drillPath.join('\n');
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+const transform = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Compress a tree for the `map` parameter
+export const encodeMap = async (tree) =>
+  toBase64Url(await transform(new TextEncoder().encode(JSON.stringify(tree)), new CompressionStream('deflate-raw')));
+
+// Inflate to text, or null once the output passes `limit` bytes - a short link can expand enormously
+const inflateText = async (bytes, limit) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const decoder = new TextDecoder();
+  let size = 0;
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+    size += value.length;
+    if (size > limit) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+};
+
+// Inflate a `map` parameter back into the raw (not yet validated) tree
+export const decodeMap = async (encoded) => {
+  let text;
+  try {
+    text = await inflateText(fromBase64Url(encoded), MAX_IMPORT_SIZE);
+    if (text !== null) return JSON.parse(text);
+  } catch {
+    throw new Error('The map in this link is damaged or incomplete');
+  }
+  throw new Error('The map in this link is too large to open (max 5 MB)');
+};
@@ -0,0 +1,64 @@
+import { SCHEMA_VERSION, repairMindMap } from './schema';
+
+/**
+ * localStorage layout for the mindmap document library
+ * Each document keeps its tree, undo history and view state under its own keys
+ */
+
+export const LIBRARY_KEY = 'mindmap-documents';
+export const ACTIVE_DOCUMENT_KEY = 'mindmap-active-document';
+
+// Keys used by the single-map version of the app, migrated into the first document
+export const LEGACY_KEYS = {
+  data: 'mindmap-data',
+  history: 'mindmap-history',
+  selectedNode: 'mindmap-selected-node'
+};
+
+export const documentKeys = (documentId) => ({
+  data: `mindmap-doc:${documentId}`,
+  history: `mindmap-doc:${documentId}:history`,
+  view: `mindmap-doc:${documentId}:view`
+});
+
+export const createDocumentId = () =>
+  `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const readJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (err) {
+    console.warn(`Failed to read ${key} from localStorage:`, err);
+    return fallback;
+  }
+};
+
+export const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Failed to write ${key} to localStorage:`, err);
+  }
+};
+
+export const removeDocumentData = (documentId) => {
+  Object.values(documentKeys(documentId)).forEach(key => localStorage.removeItem(key));
+};
+
+// The bundled seed map, offered as a template for new documents
+export const loadTemplate = async () => {
+  const response = await fetch('/mindmap-data.json');
+  if (!response.ok) throw new Error('Failed to load data');
+  return repairMindMap(await response.json()).data;
+};
+
+export const createBlankMap = (title) => ({
+  schemaVersion: SCHEMA_VERSION,
+  id: 'root',
+  title,
+  summary: '',
+  description: '',
+  metadata: { notes: '', inputs: [], outputs: [] },
+  children: []
+});
@@ -0,0 +1,261 @@
+import { calculateLayout } from './layout';
+import {
+  getThemeColors,
+  getNodeAppearance,
+  getShapeOutline,
+  getContentOffsets,
+  wrapTitle,
+  resolveNodeStyle,
+  getExpandBadge,
+  ICON_FONT_SIZE,
+  TITLE_LINE_HEIGHT
+} from './nodeStyle';
+import { renderMarkdown } from './markdown';
+import { CROSS_LINK_TYPES, collectCrossLinks, getCrossLinkType, layoutCrossLinks } from './crossLinks';
+import { layoutTagChips, getTagChipsTop, getTagColor, TAG_TEXT_COLOR, TAG_FONT_SIZE } from './tags';
+import { collectTaskProgress, getTaskBadge, describeTask, toDateKey, TASK_COLORS } from './tasks';
+import { escapeXml } from './text';
+import { countDescendants } from './tree';
+
+/**
+ * Serializers for downloading a mindmap (or one of its subtrees)
+ * Text formats round-trip through the importers in ./importers.js
+ */
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const MAX_CANVAS_SIZE = 16384;
+
+// Keep only the persisted node fields (drop layout and UI state)
+const cleanNode = (node) => {
+  const { parent, siblingIndex, x, y, level, radius, parentId, _expanded, ...rest } = node;
+  return { ...rest, children: (node.children || []).map(cleanNode) };
+};
+
+export const toJson = (root) => JSON.stringify(cleanNode(root), null, 2);
+
+// Markdown outline: the root as a heading, descendants as nested bullets
+export const toMarkdown = (root) => {
+  const lines = [`# ${root.title || 'Untitled'}`];
+  if (root.description) lines.push('', root.description);
+
+  const walk = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    lines.push(`${indent}- ${node.title || 'Untitled'}`);
+    if (node.description) {
+      node.description.split('\n').forEach(line => lines.push(`${indent}  ${line}`));
+    }
+    (node.children || []).forEach(child => walk(child, depth + 1));
+  };
+
+  if (root.children?.length) lines.push('');
+  (root.children || []).forEach(child => walk(child, 0));
+  return `${lines.join('\n')}\n`;
+};
+
+export const toOpml = (root) => {
+  const walk = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    // Encode newlines so multi-line notes survive attribute normalization
+    const note = node.description ? ` _note="${escapeXml(node.description).replace(/\n/g, '&#10;')}"` : '';
+    // Node styles ride along as JSON in a custom attribute, like _note
+    const style = node.style ? ` _style="${escapeXml(JSON.stringify(node.style))}"` : '';
+    // Tags use OPML's own comma-separated category attribute
+    const tags = node.metadata?.tags?.length ? ` category="${escapeXml(node.metadata.tags.join(','))}"` : '';
+    const task = node.task ? ` _task="${escapeXml(JSON.stringify(node.task))}"` : '';
+    const open = `${indent}<outline text="${escapeXml(node.title)}"${note}${style}${tags}${task}`;
+    if (!node.children?.length) return `${open}/>`;
+    return [`${open}>`, ...node.children.map(child => walk(child, depth + 1)), `${indent}</outline>`].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(root.title)}</title>`,
+    '  </head>',
+    '  <body>',
+    walk(root, 2),
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+};
+
+// HTML architecture document: plain fields are escaped, descriptions and notes are rendered
+// from Markdown with their headings nested below the node's own heading.
+// Headings carry the node's icon and custom color.
+export const generateDocs = (node, level = 0, inheritedStyle = {}) => {
+  const headingLevel = level === 0 ? 1 : Math.min(level + 1, 6);
+  const tag = `h${headingLevel}`;
+  const { style, childStyle } = resolveNodeStyle(node.style, inheritedStyle);
+  const renderBlock = (source) => `<div class="markdown">${renderMarkdown(source, { headingOffset: headingLevel })}</div>\n`;
+  const accent = style.color ? ` style="border-left:6px solid ${style.color};padding-left:10px"` : '';
+  const icon = style.icon ? `${escapeXml(style.icon)} ` : '';
+  let doc = `<${tag}${accent}>${icon}${escapeXml(node.title)}</${tag}>\n`;
+  if (node.summary) doc += `<p><strong>Summary:</strong> ${escapeXml(node.summary)}</p>\n`;
+  if (node.task) doc += `<p><strong>Task:</strong> ${escapeXml(describeTask(node.task, toDateKey(new Date())))}</p>\n`;
+  const tags = node.metadata?.tags || [];
+  if (tags.length) {
+    doc += `<p class="tags">${tags.map(tag => `<span style="background:${getTagColor(tag)}">${escapeXml(tag)}</span>`).join(' ')}</p>\n`;
+  }
+  if (node.description) doc += renderBlock(node.description);
+  const { notes, inputs = [], outputs = [] } = node.metadata || {};
+  if (notes) doc += `<p><strong>Notes:</strong></p>\n${renderBlock(notes)}`;
+  if (inputs.length) doc += `<p><strong>Inputs:</strong></p>\n<ul>${inputs.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>\n`;
+  if (outputs.length) doc += `<p><strong>Outputs:</strong></p>\n<ul>${outputs.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>\n`;
+  if (node.children) node.children.forEach(child => doc += generateDocs(child, level + 1, childStyle));
+  return doc;
+};
+
+export const toHtmlDocument = (root, inheritedStyle = {}) => `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeXml(root.title || 'Documentation')}</title><style>body{font-family:Arial,sans-serif;margin:40px;line-height:1.6}h1{color:#2c3e50;border-bottom:2px solid #3498db;padding-bottom:10px}h2,h3,h4,h5,h6{color:#34495e;margin-top:30px}p{margin:15px 0}strong{color:#2980b9}.markdown h2,.markdown h3,.markdown h4,.markdown h5,.markdown h6{margin-top:16px}code{background:#f4f6f8;border-radius:3px;padding:1px 4px;font-family:Consolas,monospace}pre{background:#f4f6f8;border-radius:4px;padding:12px;overflow-x:auto}pre code{padding:0}blockquote{border-left:3px solid #ccd;margin:15px 0;padding-left:12px;color:#555}.tags span{display:inline-block;border-radius:10px;padding:0 8px;font-size:12px;color:#1a1a1a}</style></head><body><div style="text-align:center;margin-bottom:40px"><h1>Interactive Component Visualization</h1><p><em>Architecture Document</em></p></div>${generateDocs(root, 0, inheritedStyle)}</body></html>`;
+
+// A node's shape as SVG markup, grown by `offset` for rings (attributes are appended verbatim)
+const shapeElement = (appearance, attributes, offset = 0) => {
+  if (appearance.shape === 'circle') return `<circle r="${appearance.size + offset}" ${attributes}/>`;
+  const { x, y, width, height, rx } = getShapeOutline(appearance, offset);
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${rx}" ${attributes}/>`;
+};
+
+/**
+ * Render the visible part of a tree as a standalone SVG.
+ * All presentation is inlined as attributes so the file renders anywhere.
+ * `inheritedStyle` is the style a subtree root inherits from its ancestors.
+ */
+export const toSvg = (root, expandedNodes, layoutMode = 'radial', theme = 'default', inheritedStyle = {}) => {
+  const { nodes, links } = calculateLayout(layoutMode, root, expandedNodes, inheritedStyle);
+  const themeColors = getThemeColors(theme);
+  const padding = 40;
+  const taskProgress = collectTaskProgress(root);
+  const descendantCounts = countDescendants(root);
+  const today = toDateKey(new Date());
+
+  const bounds = nodes.reduce((acc, node) => {
+    const size = node.radius + 8;
+    return {
+      minX: Math.min(acc.minX, node.x - size),
+      maxX: Math.max(acc.maxX, node.x + size),
+      minY: Math.min(acc.minY, node.y - size),
+      maxY: Math.max(acc.maxY, node.y + size)
+    };
+  }, { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+
+  const width = Math.ceil(bounds.maxX - bounds.minX + padding * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + padding * 2);
+  const offsetX = padding - bounds.minX;
+  const offsetY = padding - bounds.minY;
+
+  const linkElements = links.map(link =>
+    `<line x1="${link.sourcePos.x}" y1="${link.sourcePos.y}" x2="${link.targetPos.x}" y2="${link.targetPos.y}" stroke="${themeColors.link}" stroke-width="2" opacity="0.6"/>`
+  );
+
+  const crossLinks = layoutCrossLinks(collectCrossLinks(root), new Map(nodes.map(node => [node.id, node])));
+  const markerElements = Object.entries(CROSS_LINK_TYPES).map(([type, { color }]) =>
+    `<marker id="cross-link-arrow-${type}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  );
+  const crossLinkElements = crossLinks.map(link => {
+    const { color, dash, label } = getCrossLinkType(link.type);
+    const markerType = CROSS_LINK_TYPES[link.type] ? link.type : 'related';
+    return `<path d="${link.path}" fill="none" stroke="${color}" stroke-width="2" stroke-dasharray="${dash}" opacity="0.75" marker-end="url(#cross-link-arrow-${markerType})"/>` +
+      `<text x="${link.labelX}" y="${link.labelY}" text-anchor="middle" dominant-baseline="middle" fill="${color}" stroke="${themeColors.background}" stroke-width="4" paint-order="stroke" font-size="11" font-family="${escapeXml(FONT_FAMILY)}">${escapeXml(link.label || label)}</text>`;
+  });
+
+  const nodeElements = nodes.map(node => {
+    const appearance = getNodeAppearance(node, theme);
+    const lines = wrapTitle(node.title || '', node.level);
+    const fontSize = node.level === 0 ? 18 : 16;
+    const fontWeight = node.level === 0 ? 'bold' : 'normal';
+    const { iconY, firstLineY } = getContentOffsets(lines.length, fontSize, Boolean(appearance.icon));
+    const tspans = lines.map((line, i) =>
+      `<tspan x="0" dy="${i === 0 ? firstLineY : `${TITLE_LINE_HEIGHT}em`}">${escapeXml(line)}</tspan>`
+    ).join('');
+    const { border } = appearance;
+    const borderAttributes = border
+      ? ` stroke="${border.color}" stroke-width="3"${border.dash === 'none' ? '' : ` stroke-dasharray="${border.dash}"`}`
+      : '';
+    const icon = appearance.icon
+      ? `<text y="${iconY}" text-anchor="middle" dominant-baseline="middle" fill="${appearance.text}" font-size="${ICON_FONT_SIZE}" font-family="${escapeXml(FONT_FAMILY)}">${escapeXml(appearance.icon)}</text>`
+      : '';
+    const chips = layoutTagChips(node.metadata?.tags, getTagChipsTop(appearance)).map(chip =>
+      `<rect x="${chip.x}" y="${chip.y}" width="${chip.width}" height="${chip.height}" rx="${chip.height / 2}" fill="${chip.color}" stroke="${themeColors.background}" stroke-width="1.5"/>` +
+      `<text x="${chip.x + chip.width / 2}" y="${chip.y + chip.height / 2}" text-anchor="middle" dominant-baseline="central" fill="${TAG_TEXT_COLOR}" font-size="${TAG_FONT_SIZE}" font-family="${escapeXml(FONT_FAMILY)}">${escapeXml(chip.label)}</text>`
+    ).join('');
+    const progress = taskProgress.get(node.id);
+    const ring = progress
+      ? `<g${appearance.shape === 'circle' ? ' transform="rotate(-90)"' : ''}>` +
+        shapeElement(appearance, `fill="none" stroke="${TASK_COLORS.track}" stroke-width="3"`, 3) +
+        shapeElement(appearance, `fill="none" stroke="${TASK_COLORS.done}" stroke-width="3" pathLength="100" stroke-dasharray="${(progress.done / progress.total) * 100} 100"`, 3) +
+        '</g>'
+      : '';
+    const taskBadge = getTaskBadge(node.task, today);
+    const status = taskBadge
+      ? `<circle cx="${-appearance.badge.x}" cy="${appearance.badge.y}" r="8" fill="${taskBadge.fill}" stroke="${taskBadge.stroke}" stroke-width="1.5"/>` +
+        `<text x="${-appearance.badge.x}" y="${appearance.badge.y}" text-anchor="middle" dominant-baseline="central" fill="#fff" font-size="10" font-weight="bold" font-family="${escapeXml(FONT_FAMILY)}">${taskBadge.symbol}</text>`
+      : '';
+    let indicator = '';
+    if (node.children?.length) {
+      const badge = getExpandBadge(appearance, node._expanded, descendantCounts.get(node.id));
+      indicator = `<rect x="${badge.x - badge.width / 2}" y="${badge.y - badge.height / 2}" width="${badge.width}" height="${badge.height}" rx="${badge.height / 2}" fill="#333" stroke="#fff" stroke-width="1"/>` +
+        `<text x="${badge.x}" y="${badge.y}" text-anchor="middle" dominant-baseline="middle" fill="#fff" font-size="10" font-family="${escapeXml(FONT_FAMILY)}">${badge.label}</text>`;
+    }
+    return `<g transform="translate(${node.x}, ${node.y})">` +
+      ring +
+      shapeElement(appearance, `fill="${appearance.fill}"${borderAttributes}`) +
+      icon +
+      `<text text-anchor="middle" dominant-baseline="middle" fill="${appearance.text}" font-size="${fontSize}" font-weight="${fontWeight}" font-family="${escapeXml(FONT_FAMILY)}">${tspans}</text>` +
+      chips +
+      status +
+      indicator +
+      '</g>';
+  });
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${themeColors.background}"/>`,
+    ...(crossLinks.length ? [`<defs>${markerElements.join('')}</defs>`] : []),
+    `<g transform="translate(${offsetX}, ${offsetY})">`,
+    ...linkElements,
+    ...crossLinkElements,
+    ...nodeElements,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+
+  return { svg, width, height };
+};
+
+// Rasterize an SVG export onto a canvas, shrinking the scale if the canvas would be too large
+export const svgToPng = ({ svg, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const safeScale = Math.min(scale, MAX_CANVAS_SIZE / width, MAX_CANVAS_SIZE / height);
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * safeScale);
+    canvas.height = Math.round(height * safeScale);
+    const context = canvas.getContext('2d');
+    context.scale(safeScale, safeScale);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode PNG'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('Failed to render SVG for PNG export'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  if (document.body.contains(link)) {
+    document.body.removeChild(link);
+  }
+  URL.revokeObjectURL(url);
+};
+
+// File-system friendly name derived from a node title
+export const toFileName = (title, extension) => {
+  const slug = (title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'mindmap'}.${extension}`;
+};
@@ -0,0 +1,178 @@
+import { normalizeTags } from './tags';
+import { validateMindMap, repairMindMap, describeProblem } from './schema';
+
+/**
+ * Parsers that turn external files into the mindmap tree shape
+ * { id, title, summary, description, metadata, children } used by useMindMapData
+ */
+
+export const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+// Build a complete node from partial fields
+const createNode = ({ title = '', summary = '', description = '', metadata, children = [] } = {}) => ({
+  title,
+  summary,
+  description,
+  metadata: { notes: '', inputs: [], outputs: [], ...metadata },
+  children
+});
+
+/**
+ * Validate a parsed tree and fill in defaults (see ./schema.js).
+ * Throws with the path of the first field of the wrong type, or for a map from a newer version of the app;
+ * missing or duplicate ids are reassigned and cross-links whose target is not in the tree are dropped.
+ */
+export const normalizeTree = (rawRoot) => {
+  const invalid = validateMindMap(rawRoot).find(problem => problem.kind === 'type' || problem.kind === 'version');
+  if (invalid) throw new Error(describeProblem(invalid));
+  return repairMindMap(rawRoot).data;
+};
+
+// Wrap several top-level items under a new root, or promote a single one
+const toSingleRoot = (items, fallbackTitle) => {
+  if (items.length === 0) throw new Error('No mind map items found in file');
+  if (items.length === 1) return items[0];
+  return createNode({ title: fallbackTitle, children: items });
+};
+
+export const parseJson = (text, fallbackTitle) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (Array.isArray(parsed)) return toSingleRoot(parsed, fallbackTitle);
+  return parsed;
+};
+
+const HEADING = /^\s*(#{1,6})\s+(.*)$/;
+// Markdown bullets and numbers, plus the bullet characters other apps put in copied lists
+const BULLET = /^(\s*)(?:[-*+•◦▪‣]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+
+/**
+ * The top-level items of an indented Markdown/bullet outline.
+ * Headings nest by level, bullets nest by indentation below the closest heading,
+ * and plain paragraphs become the description of the preceding item.
+ */
+const parseOutlineItems = (text) => {
+  const virtualRoot = { children: [] };
+  const stack = [{ rank: -1, node: virtualRoot }];
+  let lastNode = null;
+  let inCodeBlock = false;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock || !line.trim()) return;
+
+    const expanded = line.replace(/\t/g, '    ');
+    const heading = expanded.match(HEADING);
+    const bullet = expanded.match(BULLET);
+
+    // Headings always rank above bullets; deeper indentation ranks lower
+    let rank;
+    let title;
+    if (heading) {
+      rank = heading[1].length;
+      title = heading[2];
+    } else if (bullet) {
+      rank = 10 + bullet[1].length;
+      title = bullet[2];
+    } else {
+      if (lastNode) {
+        const paragraph = line.trim();
+        lastNode.description = lastNode.description ? `${lastNode.description}\n${paragraph}` : paragraph;
+      }
+      return;
+    }
+
+    const node = createNode({ title: title.replace(/\s+#+\s*$/, '').trim() });
+    while (stack[stack.length - 1].rank >= rank) stack.pop();
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ rank, node });
+    lastNode = node;
+  });
+
+  return virtualRoot.children;
+};
+
+export const parseMarkdownOutline = (text, fallbackTitle) => toSingleRoot(parseOutlineItems(text), fallbackTitle);
+
+/**
+ * Nodes from an outline pasted as plain text: Markdown as above, or - when no line is a heading
+ * or bullet - one node per line, nested by indentation. Returns the top-level nodes, not yet normalized.
+ */
+export const parseTextOutline = (text) => {
+  if (text.length > MAX_IMPORT_SIZE) throw new Error('the text is too large to paste (max 5 MB)');
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const isMarkdown = lines.some(line => HEADING.test(line) || BULLET.test(line));
+  return parseOutlineItems(isMarkdown ? text : lines.map(line => line.replace(/^(\s*)(?=\S)/, '$1- ')).join('\n'));
+};
+
+// Parse OPML as produced by outliners: nested <outline text="..."> elements
+export const parseOpml = (text, fallbackTitle) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`Invalid OPML: ${parserError.textContent.split('\n')[0]}`);
+  }
+  const body = doc.querySelector('opml > body');
+  if (!body) throw new Error('Invalid OPML: missing <opml> or <body> element');
+
+  // Styles and tasks written by our own export; anything unreadable is ignored
+  const readJsonAttribute = (outline, name) => {
+    try {
+      return JSON.parse(outline.getAttribute(name));
+    } catch {
+      return null;
+    }
+  };
+
+  const toNode = (outline) => {
+    const node = createNode({
+      title: outline.getAttribute('text') || outline.getAttribute('title') || '',
+      description: outline.getAttribute('_note') || '',
+      children: Array.from(outline.children)
+        .filter(child => child.tagName === 'outline')
+        .map(toNode)
+    });
+    const tags = normalizeTags((outline.getAttribute('category') || '').split(','));
+    if (tags.length) node.metadata.tags = tags;
+    const style = readJsonAttribute(outline, '_style');
+    const task = readJsonAttribute(outline, '_task');
+    return { ...node, ...(style ? { style } : {}), ...(task ? { task } : {}) };
+  };
+
+  const items = Array.from(body.children).filter(child => child.tagName === 'outline').map(toNode);
+  const headTitle = doc.querySelector('opml > head > title')?.textContent.trim();
+  return toSingleRoot(items, headTitle || fallbackTitle);
+};
+
+// Pick a parser by file extension, falling back to sniffing the content
+export const detectFormat = (fileName, text) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'opml' || extension === 'xml') return 'opml';
+  if (['md', 'markdown', 'txt'].includes(extension)) return 'markdown';
+  const start = text.trimStart()[0];
+  if (start === '{' || start === '[') return 'json';
+  if (start === '<') return 'opml';
+  return 'markdown';
+};
+
+const parsers = { json: parseJson, markdown: parseMarkdownOutline, opml: parseOpml };
+
+/**
+ * Parse and validate an imported file's text.
+ * Returns a normalized tree, or throws an Error describing what is malformed.
+ */
+export const importMindMap = (text, fileName = '') => {
+  if (text.length > MAX_IMPORT_SIZE) throw new Error('File is too large to import (max 5 MB)');
+  if (!text.trim()) throw new Error('File is empty');
+  const fallbackTitle = fileName.replace(/\.[^.]+$/, '') || 'Imported Map';
+  const format = detectFormat(fileName, text);
+  return normalizeTree(parsers[format](text, fallbackTitle));
+};
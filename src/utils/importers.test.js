@@ -0,0 +1,128 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { importMindMap, normalizeTree } from './importers';
+import { toOpml } from './exporters';
+import { SCHEMA_VERSION } from './schema';
+import { collectIds } from './tree';
+
+const titles = (node) => node.children.map(child => child.title);
+
+describe('importMindMap (OPML)', () => {
+  it('reads nested outlines with their category tags', () => {
+    const opml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Platform</title></head>
+  <body>
+    <outline text="Backend" category="api, owner:payments">
+      <outline text="Billing" category="critical" _note="Charges cards"/>
+    </outline>
+    <outline text="Frontend"/>
+  </body>
+</opml>`;
+    const root = importMindMap(opml, 'platform.opml');
+    expect(root.title).toBe('Platform');
+    const [backend, frontend] = root.children;
+    expect(backend.title).toBe('Backend');
+    expect(backend.metadata.tags).toEqual(['api', 'owner:payments']);
+    expect(backend.children[0]).toMatchObject({ title: 'Billing', description: 'Charges cards', metadata: { tags: ['critical'] } });
+    expect(frontend.metadata.tags).toBeUndefined();
+  });
+
+  it('round-trips tags through the OPML export', () => {
+    const tree = importMindMap(JSON.stringify({
+      id: 'root',
+      title: 'Map',
+      children: [{ id: 'a', title: 'Tagged', metadata: { tags: ['backend', 'v2'] }, children: [] }]
+    }), 'map.json');
+    const root = importMindMap(toOpml(tree), 'map.opml');
+    expect(root.children[0].metadata.tags).toEqual(['backend', 'v2']);
+  });
+});
+
+describe('importMindMap (Markdown)', () => {
+  it('nests bullets by indentation below headings nested by level', () => {
+    const root = importMindMap([
+      '# Platform',
+      '## Backend',
+      '- API',
+      '  - Auth',
+      '    1. Tokens',
+      '- Workers',
+      '## Frontend',
+      '### Web'
+    ].join('\n'), 'platform.md');
+    expect(root.title).toBe('Platform');
+    expect(titles(root)).toEqual(['Backend', 'Frontend']);
+    const [backend, frontend] = root.children;
+    expect(titles(backend)).toEqual(['API', 'Workers']);
+    expect(titles(backend.children[0])).toEqual(['Auth']);
+    expect(titles(backend.children[0].children[0])).toEqual(['Tokens']);
+    expect(titles(frontend)).toEqual(['Web']);
+  });
+
+  it('turns paragraphs into the description of the item above', () => {
+    const root = importMindMap('# Platform\nEverything we run.\n\n- API\nPublic endpoints\nand webhooks\n', 'platform.md');
+    expect(root.description).toBe('Everything we run.');
+    expect(root.children[0].description).toBe('Public endpoints\nand webhooks');
+  });
+
+  it('skips fenced code blocks', () => {
+    const root = importMindMap('# Platform\n```\n# not a heading\n- not a bullet\n```\n~~~\n- nor this\n~~~\n- API', 'platform.md');
+    expect(titles(root)).toEqual(['API']);
+    expect(root.description).toBe('');
+  });
+
+  it('wraps several top-level items under the file name', () => {
+    const root = importMindMap('- One\n- Two', 'ideas.md');
+    expect(root.title).toBe('ideas');
+    expect(titles(root)).toEqual(['One', 'Two']);
+  });
+});
+
+describe('importMindMap (JSON)', () => {
+  it('wraps a top-level array under a root named after the file', () => {
+    const root = importMindMap(JSON.stringify([{ title: 'A', children: [] }, { title: 'B', children: [] }]), 'team.json');
+    expect(root.id).toBe('root');
+    expect(root.title).toBe('team');
+    expect(titles(root)).toEqual(['A', 'B']);
+    const ids = collectIds(root);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('promotes the only item of an array to the root', () => {
+    const root = importMindMap('[{ "title": "Solo", "children": [{ "title": "Child" }] }]', 'solo.json');
+    expect(root.title).toBe('Solo');
+    expect(titles(root)).toEqual(['Child']);
+  });
+
+  it('falls back to a generic title without a file name', () => {
+    expect(importMindMap('[{ "title": "A" }, { "title": "B" }]').title).toBe('Imported Map');
+  });
+});
+
+describe('normalizeTree', () => {
+  it('rejects fields of the wrong type with their path', () => {
+    expect(() => normalizeTree({ title: 5 })).toThrow('root.title should be a string, found number');
+    expect(() => normalizeTree({ title: 'Map', children: [{ title: 'A', metadata: { inputs: [1] } }] }))
+      .toThrow('root.children[0].metadata.inputs[0] should be a string, found number');
+    expect(() => normalizeTree([])).toThrow('root should be a node object, found array');
+  });
+
+  it('rejects a map from a newer version of the app', () => {
+    expect(() => normalizeTree({ schemaVersion: SCHEMA_VERSION + 1, title: 'Map', children: [] }))
+      .toThrow(`root.schemaVersion is ${SCHEMA_VERSION + 1}, newer than this app understands (${SCHEMA_VERSION})`);
+  });
+
+  it('repairs ids and links instead of rejecting them', () => {
+    const root = normalizeTree({
+      title: 'Map',
+      children: [
+        { id: 'a', title: 'A', crossLinks: [{ target: 'ghost' }] },
+        { id: 'a', title: 'Copy of A' }
+      ]
+    });
+    expect(root.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(root.children[0].crossLinks).toBeUndefined();
+    expect(root.children[1].id).not.toBe('a');
+  });
+});
@@ -0,0 +1,255 @@
+import * as d3 from 'd3';
+import { getNodeSize, resolveNodeStyle, NODE_EMPHASIS } from './nodeStyle';
+import { LARGE_MAP_THRESHOLD } from './viewport';
+
+/**
+ * Layout algorithms for positioning mindmap nodes
+ * Pure functions so the same positions can drive the live view and exports.
+ * Every layout returns { nodes, links } where nodes are positioned copies
+ * ({ ...node, x, y, level, radius, parentId, _expanded, _style }) of the visible nodes.
+ * `_style` is the node's effective style after inheritance; `inheritedStyle` seeds it
+ * for a root that is really a subtree (see getInheritedStyle).
+ */
+
+const BASE_RADIUS = 180;
+const LEVEL_GAP = 150;
+const NODE_GAP = 16;
+const RING_GROWTH = 1.15;
+const MAX_FIT_ITERATIONS = 60;
+// Cap on simulation work (nodes x ticks), a few hundred milliseconds; bigger trees settle for fewer ticks
+// from their radial seed, and large maps keep the seed itself since the layout reruns on every expand
+const FORCE_TICK_BUDGET = 20000;
+
+// Collision radius used by every layout - every node shape fits inside this circle
+const getLayoutRadius = (level, title, style) =>
+  getNodeSize(level, (title || '').length, NODE_EMPHASIS[style?.emphasis]?.scale);
+
+/**
+ * Collision-free radial layout.
+ * Every node sits on a ring around the root (one ring per level), so distances are
+ * measured from the root rather than from each parent. Rings are spaced by the largest
+ * node on each level, and each subtree is given at least the angle its nodes need on
+ * their rings; when a level is too crowded all rings grow until everything fits.
+ * Spare angle is shared out by subtree size, which keeps big branches spread out.
+ */
+export const calculateRadialLayout = (rootNode, expandedNodes, inheritedStyle = {}) => {
+  if (!rootNode) return { nodes: [], links: [] };
+
+  const nodes = [];
+  const links = [];
+
+  // Measure the visible tree: node radius, per-level maximum radius and subtree size
+  const levelRadii = [];
+  const measure = (node, level, inherited) => {
+    const { style, childStyle } = resolveNodeStyle(node.style, inherited);
+    const radius = getLayoutRadius(level, node.title, style);
+    levelRadii[level] = Math.max(levelRadii[level] || 0, radius);
+    const visibleChildren = node.children && expandedNodes.has(node.id) ? node.children : [];
+    const children = visibleChildren.map(child => measure(child, level + 1, childStyle));
+    const weight = 1 + children.reduce((sum, child) => sum + child.weight, 0);
+    return { node, level, radius, style, children, weight, need: 0 };
+  };
+  const tree = measure(rootNode, 0, inheritedStyle);
+
+  // Ring radii: the default spacing, widened so neighbouring rings can never overlap
+  let rings = [0];
+  for (let level = 1; level < levelRadii.length; level++) {
+    const minimum = rings[level - 1] + levelRadii[level - 1] + levelRadii[level] + NODE_GAP;
+    rings[level] = Math.max(BASE_RADIUS + level * LEVEL_GAP, minimum);
+  }
+
+  // Angle a subtree needs: its own node's footprint on its ring, or its children's total.
+  // A node of radius r on ring R needs asin(r / R) either side of its center for
+  // neighbouring chords to stay longer than the sum of both radii.
+  const computeNeed = (item) => {
+    const own = item.level === 0
+      ? 0
+      : 2 * Math.asin(Math.min(1, (item.radius + NODE_GAP / 2) / rings[item.level]));
+    const childrenNeed = item.children.reduce((sum, child) => sum + computeNeed(child), 0);
+    item.need = Math.max(own, childrenNeed);
+    return item.need;
+  };
+
+  for (let i = 0; i < MAX_FIT_ITERATIONS; i++) {
+    const total = tree.children.reduce((sum, child) => sum + computeNeed(child), 0);
+    if (total <= Math.PI * 2) break;
+    rings = rings.map(ring => ring * RING_GROWTH);
+  }
+
+  const layoutNode = (item, startAngle, endAngle, parent = null) => {
+    const angle = (startAngle + endAngle) / 2;
+    const ring = rings[item.level];
+    const x = Math.cos(angle) * ring;
+    const y = Math.sin(angle) * ring;
+    const { node } = item;
+
+    nodes.push({
+      ...node,
+      x,
+      y,
+      level: item.level,
+      radius: item.radius,
+      parentId: parent ? parent.id : null,
+      _expanded: expandedNodes.has(node.id),
+      _style: item.style
+    });
+
+    if (parent) {
+      links.push({
+        source: parent.id,
+        target: node.id,
+        sourcePos: parent.pos,
+        targetPos: { x, y }
+      });
+    }
+
+    if (item.children.length === 0) return;
+
+    // Every child gets the angle it needs plus a weighted share of the spare angle
+    const spare = Math.max(0, endAngle - startAngle - item.children.reduce((sum, c) => sum + c.need, 0));
+    const totalWeight = item.children.reduce((sum, c) => sum + c.weight, 0);
+    let currentAngle = startAngle;
+
+    item.children.forEach((child) => {
+      const slice = child.need + spare * (child.weight / totalWeight);
+      layoutNode(child, currentAngle, currentAngle + slice, { id: node.id, pos: { x, y } });
+      currentAngle += slice;
+    });
+  };
+
+  layoutNode(tree, 0, Math.PI * 2);
+
+  return { nodes, links };
+};
+
+// Visible hierarchy: collapsed nodes contribute no children.
+// Each entry carries its effective style and collision radius.
+const visibleHierarchy = (rootNode, expandedNodes, inheritedStyle = {}) => {
+  const hierarchy = d3.hierarchy(rootNode, node => (expandedNodes.has(node.id) ? node.children : null));
+  hierarchy.eachBefore(d => {
+    const { style, childStyle } = resolveNodeStyle(d.data.style, d.parent ? d.parent.childStyle : inheritedStyle);
+    d.style = style;
+    d.childStyle = childStyle;
+    d.radius = getLayoutRadius(d.depth, d.data.title, style);
+  });
+  return hierarchy;
+};
+
+// Convert a positioned d3 hierarchy into the shared { nodes, links } shape
+const fromHierarchy = (hierarchy, expandedNodes, position) => {
+  const nodes = [];
+  const links = [];
+  hierarchy.each(d => {
+    const { x, y } = position(d);
+    nodes.push({
+      ...d.data,
+      x,
+      y,
+      level: d.depth,
+      radius: d.radius,
+      parentId: d.parent ? d.parent.data.id : null,
+      _expanded: expandedNodes.has(d.data.id),
+      _style: d.style
+    });
+    if (d.parent) {
+      links.push({
+        source: d.parent.data.id,
+        target: d.data.id,
+        sourcePos: position(d.parent),
+        targetPos: { x, y }
+      });
+    }
+  });
+  return { nodes, links };
+};
+
+/**
+ * Tidy tree (Reingold-Tilford via d3.tree).
+ * 'horizontal' grows left-to-right, 'vertical' top-down like an org chart.
+ */
+export const calculateTreeLayout = (rootNode, expandedNodes, orientation = 'horizontal', inheritedStyle = {}) => {
+  if (!rootNode) return { nodes: [], links: [] };
+  const hierarchy = visibleHierarchy(rootNode, expandedNodes, inheritedStyle);
+  const horizontal = orientation === 'horizontal';
+
+  // nodeSize is [breadth, depth] spacing between node centers, widened for emphasized nodes
+  const [breadth, depth] = horizontal ? [180, 280] : [190, 210];
+  const levelRadii = [];
+  hierarchy.each(d => { levelRadii[d.depth] = Math.max(levelRadii[d.depth] || 0, d.radius); });
+  const levelGap = d3.max(levelRadii.slice(1).map((radius, i) => levelRadii[i] + radius + NODE_GAP * 2)) || 0;
+  d3.tree()
+    .nodeSize([breadth, Math.max(depth, levelGap)])
+    .separation((a, b) => Math.max(a.parent === b.parent ? 1 : 1.3, (a.radius + b.radius + NODE_GAP) / breadth))(hierarchy);
+
+  return fromHierarchy(hierarchy, expandedNodes, d => (horizontal ? { x: d.y, y: d.x } : { x: d.x, y: d.y }));
+};
+
+/**
+ * Force-directed layout: links pull children toward parents, nodes repel and never overlap.
+ * Seeded from the radial layout and run to rest synchronously, so results are stable.
+ * Above LARGE_MAP_THRESHOLD visible nodes the radial seed is returned as it is.
+ */
+export const calculateForceLayout = (rootNode, expandedNodes, inheritedStyle = {}) => {
+  if (!rootNode) return { nodes: [], links: [] };
+  const radial = calculateRadialLayout(rootNode, expandedNodes, inheritedStyle);
+  if (radial.nodes.length > LARGE_MAP_THRESHOLD) return radial;
+  const hierarchy = visibleHierarchy(rootNode, expandedNodes, inheritedStyle);
+  const seed = new Map(radial.nodes.map(n => [n.id, n]));
+
+  const simNodes = hierarchy.descendants().map(d => {
+    const start = seed.get(d.data.id) || { x: 0, y: 0 };
+    const simNode = { d, x: start.x, y: start.y, radius: d.radius };
+    // Pin the root at the origin
+    if (!d.parent) Object.assign(simNode, { fx: 0, fy: 0 });
+    return simNode;
+  });
+  const byHierarchy = new Map(simNodes.map(n => [n.d, n]));
+  const simLinks = hierarchy.links().map(({ source, target }) => ({
+    source: byHierarchy.get(source),
+    target: byHierarchy.get(target)
+  }));
+
+  const simulation = d3.forceSimulation(simNodes)
+    .force('link', d3.forceLink(simLinks).distance(l => l.source.radius + l.target.radius + 60).strength(0.8))
+    .force('charge', d3.forceManyBody().strength(-500))
+    .force('collide', d3.forceCollide(n => n.radius + 12))
+    .force('x', d3.forceX(0).strength(0.02))
+    .force('y', d3.forceY(0).strength(0.02))
+    .alphaDecay(0.05)
+    .stop();
+  let ticks = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+  const affordable = Math.max(10, Math.floor(FORCE_TICK_BUDGET / simNodes.length));
+  if (ticks > affordable) {
+    // Anneal gently from the seed and finish within the budget
+    ticks = affordable;
+    simulation.alpha(0.3).alphaDecay(1 - Math.pow(simulation.alphaMin() / 0.3, 1 / ticks));
+    simulation.force('collide').iterations(3);
+  }
+  for (let i = 0; i < ticks; i++) simulation.tick();
+
+  return fromHierarchy(hierarchy, expandedNodes, d => {
+    const { x, y } = byHierarchy.get(d);
+    return { x, y };
+  });
+};
+
+export const LAYOUT_MODES = [
+  { id: 'radial', label: 'Radial' },
+  { id: 'tree', label: 'Tree (left to right)' },
+  { id: 'org', label: 'Org chart' },
+  { id: 'force', label: 'Force-directed' }
+];
+
+// Lay out a tree with the named mode, falling back to radial for unknown modes
+export const calculateLayout = (mode, rootNode, expandedNodes, inheritedStyle = {}) => {
+  switch (mode) {
+    case 'tree':
+      return calculateTreeLayout(rootNode, expandedNodes, 'horizontal', inheritedStyle);
+    case 'org':
+      return calculateTreeLayout(rootNode, expandedNodes, 'vertical', inheritedStyle);
+    case 'force':
+      return calculateForceLayout(rootNode, expandedNodes, inheritedStyle);
+    default:
+      return calculateRadialLayout(rootNode, expandedNodes, inheritedStyle);
+  }
+};
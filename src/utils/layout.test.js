@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRadialLayout, calculateForceLayout } from './layout';
+import { LARGE_MAP_THRESHOLD } from './viewport';
+import { collectIds } from './tree';
+
+// Small seeded PRNG so the random trees are the same on every run
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+let counter = 0;
+const node = (children = [], title = `Node ${counter}`) => ({ id: `n${counter++}`, title, children });
+
+const star = () => node(Array.from({ length: 60 }, () => node()));
+const chain = (depth) => (depth === 0 ? node() : node([chain(depth - 1)]));
+const binary = (depth) => (depth === 0 ? node() : node([binary(depth - 1), binary(depth - 1)]));
+const wide = (depth, fanout) => (depth === 0 ? node() : node(Array.from({ length: fanout }, () => wide(depth - 1, fanout))));
+const lopsided = () => node([chain(8), binary(5), ...Array.from({ length: 30 }, () => node())]);
+const longTitles = () => node(Array.from({ length: 24 }, (_, i) => node([node()], `A much longer node title number ${i}`)));
+const random = (count, seed) => {
+  const rand = mulberry32(seed);
+  const root = node();
+  const all = [root];
+  while (all.length < count) {
+    const child = node();
+    all[Math.floor(rand() * all.length)].children.push(child);
+    all.push(child);
+  }
+  return root;
+};
+
+// Pairs of laid-out nodes whose circles overlap
+const findOverlaps = (nodes) => {
+  const overlaps = [];
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      if (Math.hypot(a.x - b.x, a.y - b.y) < a.radius + b.radius) overlaps.push(`${a.id} / ${b.id}`);
+    }
+  }
+  return overlaps;
+};
+
+describe('calculateRadialLayout', () => {
+  const shapes = {
+    star: star(),
+    chain: chain(15),
+    binary: binary(7),
+    wide: wide(3, 7),
+    lopsided: lopsided(),
+    'long titles': longTitles(),
+    'random (small)': random(80, 1),
+    'random (large)': random(400, 42)
+  };
+
+  Object.entries(shapes).forEach(([name, root]) => {
+    it(`keeps node circles apart in a ${name} tree`, () => {
+      const { nodes } = calculateRadialLayout(root, new Set(collectIds(root)));
+      expect(nodes).toHaveLength(collectIds(root).length);
+      expect(findOverlaps(nodes)).toEqual([]);
+    });
+  });
+
+  it('keeps node circles apart with only some branches expanded', () => {
+    const root = random(300, 7);
+    const expanded = new Set(collectIds(root).filter((id, i) => i % 3 !== 1));
+    const { nodes } = calculateRadialLayout(root, expanded);
+    expect(findOverlaps(nodes)).toEqual([]);
+  });
+});
+
+describe('calculateForceLayout', () => {
+  it('keeps node circles apart', () => {
+    const root = random(LARGE_MAP_THRESHOLD, 3);
+    const { nodes } = calculateForceLayout(root, new Set(collectIds(root)));
+    expect(nodes).toHaveLength(LARGE_MAP_THRESHOLD);
+    expect(findOverlaps(nodes)).toEqual([]);
+  });
+
+  it('keeps the radial positions of a large map', () => {
+    const root = random(LARGE_MAP_THRESHOLD + 1, 5);
+    const expanded = new Set(collectIds(root));
+    const position = ({ id, x, y }) => ({ id, x, y });
+    expect(calculateForceLayout(root, expanded).nodes.map(position))
+      .toEqual(calculateRadialLayout(root, expanded).nodes.map(position));
+  });
+});
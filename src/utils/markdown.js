@@ -0,0 +1,189 @@
+import { escapeXml } from './text';
+
+/**
+ * Small Markdown renderer for node descriptions and notes.
+ * Supports headings, paragraphs, lists (nested), block quotes, fenced code, rules,
+ * inline code, emphasis, strikethrough and links.
+ *
+ * The output is safe to inject as HTML: every piece of source text is escaped, raw HTML is
+ * shown as text, and links only keep http(s), mailto and relative targets.
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+const isBlank = (line) => line.trim() === '';
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+const isOrdered = (marker) => /\d/.test(marker);
+
+const startsBlock = (line) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// Links may point at web pages, mail addresses or relative paths - never at script or data URLs
+export const isSafeUrl = (url) => {
+  // Browsers ignore whitespace and control characters inside a scheme, so the check must too
+  const compact = url.replace(/[\u0000- \u007f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+};
+
+const renderLink = (text, url, title) => {
+  if (!isSafeUrl(url)) return text;
+  const titleAttribute = title ? ` title="${escapeXml(title)}"` : '';
+  return `<a href="${escapeXml(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${text}</a>`;
+};
+
+// Code spans, links and bare URLs; images are shown as links to the image
+const INLINE_TOKEN = new RegExp([
+  /(`+)([\s\S]*?[^`])\1(?!`)/.source,
+  /!?\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+"([^"]*)")?\s*\)/.source,
+  /(https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]])/.source
+].join('|'), 'g');
+
+const renderEmphasis = (html) => html
+  .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+  .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+  .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+  .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+/**
+ * Render inline Markdown to HTML.
+ * Backslash escapes are swapped for placeholders first so they can't start any syntax.
+ */
+export const renderInline = (source) => {
+  const escapes = [];
+  const text = source.replace(/\\([\\`*_{}[\]()#+\-.!~>|])/g, (match, char) => {
+    escapes.push(char);
+    return `\u0000${escapes.length - 1}\u0000`;
+  });
+  const restore = (value, asSource) =>
+    value.replace(/\u0000(\d+)\u0000/g, (match, i) => (asSource ? `\\${escapes[i]}` : escapes[i]));
+  // Escaped characters come back after emphasis so they stay literal.
+  // Line breaks inside a paragraph are kept, as plain-text notes rely on them.
+  const renderText = (value) => renderEmphasis(escapeXml(value))
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => escapeXml(escapes[i]))
+    .replace(/\n/g, '<br>');
+
+  let html = '';
+  let last = 0;
+  text.replace(INLINE_TOKEN, (match, ticks, code, label, url, title, bareUrl, offset) => {
+    html += renderText(text.slice(last, offset));
+    last = offset + match.length;
+    if (code !== undefined) {
+      // Backslashes are literal inside code
+      html += `<code>${escapeXml(restore(code, true).replace(/^ (.*[^ ].*) $/, '$1'))}</code>`;
+    } else if (url !== undefined) {
+      html += renderLink(renderText(label), restore(url), title && restore(title));
+    } else {
+      html += renderLink(escapeXml(restore(bareUrl)), restore(bareUrl));
+    }
+    return match;
+  });
+  return html + renderText(text.slice(last));
+};
+
+const renderList = (lines, start, options) => {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = isOrdered(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length === indent && isOrdered(item[2]) === ordered) {
+      items.push({ lines: [item[3]], contentIndent: indent + item[2].length + 1 });
+      i++;
+    } else if (isBlank(line)) {
+      // A blank line continues the list only if more of it follows
+      const next = lines[i + 1];
+      const nextItem = next?.match(LIST_ITEM);
+      const continues = next !== undefined && !isBlank(next) &&
+        (indentOf(next) > indent || (nextItem && nextItem[1].length === indent && isOrdered(nextItem[2]) === ordered));
+      if (!continues) break;
+      if (indentOf(next) <= indent) loose = true;
+      items[items.length - 1].lines.push('');
+      i++;
+    } else if (indentOf(line) > indent) {
+      const { contentIndent } = items[items.length - 1];
+      items[items.length - 1].lines.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      i++;
+    } else if (!startsBlock(line) && !isBlank(lines[i - 1])) {
+      // Lazy continuation of the item's paragraph
+      items[items.length - 1].lines.push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = parseInt(first[2], 10);
+  const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  const body = items.map(item => {
+    const tight = !loose && !item.lines.slice(0, -1).some(isBlank);
+    return `<li>${renderBlocks(item.lines, { ...options, tight })}</li>`;
+  }).join('');
+  return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i };
+};
+
+// Render block-level Markdown lines; `tight` list items keep their text out of <p>
+const renderBlocks = (lines, options) => {
+  const { headingOffset = 0, tight = false } = options;
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (isBlank(line)) {
+      i++;
+    } else if ((match = line.match(FENCE))) {
+      const [, fence, language] = match;
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+      i++;
+      const languageClass = language ? ` class="language-${escapeXml(language)}"` : '';
+      blocks.push(`<pre><code${languageClass}>${escapeXml(code.join('\n'))}</code></pre>`);
+    } else if ((match = line.match(HEADING))) {
+      const level = Math.min(match[1].length + headingOffset, 6);
+      blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push('<hr>');
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ''));
+      blocks.push(`<blockquote>${renderBlocks(quoted, { headingOffset })}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i, { headingOffset });
+      blocks.push(list.html);
+      i = list.next;
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) paragraph.push(lines[i++].trim());
+      const html = renderInline(paragraph.join('\n'));
+      blocks.push(tight ? html : `<p>${html}</p>`);
+    }
+  }
+
+  return blocks.join('\n');
+};
+
+/**
+ * Render Markdown to sanitized HTML.
+ * `headingOffset` demotes headings so they nest below the heading of the surrounding page.
+ */
+export const renderMarkdown = (source, { headingOffset = 0 } = {}) =>
+  renderBlocks(String(source ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), { headingOffset });
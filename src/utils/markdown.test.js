@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, isSafeUrl } from './markdown';
+
+const link = (href, text) => `<a href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>`;
+
+describe('isSafeUrl', () => {
+  it('accepts web, mail and relative targets', () => {
+    ['https://example.com', 'http://example.com/a?b=1', 'mailto:team@example.com', 'docs/api.md', '#section', '/root']
+      .forEach(url => expect(isSafeUrl(url)).toBe(true));
+  });
+
+  it('rejects script and data URLs however they are written', () => {
+    ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)',
+      'data:text/html;base64,PHNjcmlwdD4=', 'DATA:image/svg+xml,<svg/>', 'vbscript:msgbox(1)']
+      .forEach(url => expect(isSafeUrl(url)).toBe(false));
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('renders safe links', () => {
+    expect(renderMarkdown('[docs](https://example.com "Docs")')).toBe(
+      '<p><a href="https://example.com" title="Docs" target="_blank" rel="noopener noreferrer">docs</a></p>'
+    );
+    expect(renderMarkdown('[guide](docs/guide.md)')).toBe(`<p>${link('docs/guide.md', 'guide')}</p>`);
+  });
+
+  it('drops javascript: and data: links but keeps their text', () => {
+    expect(renderMarkdown('[click](javascript:alert(1))')).toBe('<p>click</p>');
+    expect(renderMarkdown('[click](JAVASCRIPT:alert(1))')).toBe('<p>click</p>');
+    expect(renderMarkdown('[page](data:text/html;base64,PHNjcmlwdD4=)')).toBe('<p>page</p>');
+    expect(renderMarkdown('![pixel](data:image/png;base64,AAAA)')).toBe('<p>pixel</p>');
+  });
+
+  it('keeps quotes in a link target from breaking out of the attribute', () => {
+    expect(renderMarkdown('[x](https://example.com/"onmouseover="alert(1))')).toBe(
+      `<p>${link('https://example.com/&quot;onmouseover=&quot;alert(1)', 'x')}</p>`
+    );
+  });
+
+  it('shows raw HTML as text', () => {
+    expect(renderMarkdown('<script>alert(1)</script>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    expect(renderMarkdown('<img src=x onerror=alert(1)>')).toBe('<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    expect(renderMarkdown('# <b>Title</b>')).toBe('<h1>&lt;b&gt;Title&lt;/b&gt;</h1>');
+    expect(renderMarkdown('- <i>item</i>')).toBe('<ul><li>&lt;i&gt;item&lt;/i&gt;</li></ul>');
+  });
+
+  it('escapes < and & in plain text and code', () => {
+    expect(renderMarkdown('a < b && c > d')).toBe('<p>a &lt; b &amp;&amp; c &gt; d</p>');
+    expect(renderMarkdown('use `<div>` here')).toBe('<p>use <code>&lt;div&gt;</code> here</p>');
+    expect(renderMarkdown('```\n<div>\n```')).toBe('<pre><code>&lt;div&gt;</code></pre>');
+  });
+
+  it('escapes the query of a bare URL', () => {
+    expect(renderMarkdown('see https://example.com/a?b=1&c=2.')).toBe(
+      `<p>see ${link('https://example.com/a?b=1&amp;c=2', 'https://example.com/a?b=1&amp;c=2')}.</p>`
+    );
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Visual rules for nodes, shared by the live map and the image exports
+ */
+
+// Level colors per theme; the high-contrast palette pairs bright fills with black text
+export const NODE_THEMES = {
+  default: {
+    label: 'Default',
+    colors: ['#4a9eff', '#4caf50', '#ff9800', '#9c27b0'], // Blue, Green, Orange, Purple
+    text: '#fff',
+    background: '#1a1a1a',
+    link: '#555'
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    colors: ['#ffff00', '#00ffff', '#ffa0ff', '#a0ff80'], // Yellow, Cyan, Pink, Lime
+    text: '#000',
+    background: '#000',
+    link: '#fff'
+  }
+};
+
+const themeOf = (theme) => NODE_THEMES[theme] || NODE_THEMES.default;
+
+export const getNodeColor = (level, theme) => {
+  const { colors } = themeOf(theme);
+  return colors[Math.min(level, colors.length - 1)];
+};
+
+export const getThemeColors = (theme) => themeOf(theme);
+
+// `scale` comes from a node's size emphasis (see NODE_EMPHASIS)
+export const getNodeSize = (level, titleLength, scale = 1) => {
+  const baseSizes = [70, 55, 45, 35]; // Root largest, decreasing with depth
+  const baseSize = baseSizes[Math.min(level, baseSizes.length - 1)];
+  const extraSize = Math.min(titleLength * 1.5, 25);
+  return Math.round((baseSize + extraSize) * scale);
+};
+
+/**
+ * Per-node style overrides, stored on the node as `style`:
+ * { color, shape, borderColor, borderStyle, icon, emphasis, inherit }.
+ * Every field is optional; missing fields fall back to the level-based look.
+ * With `inherit`, a node passes its style on to descendants that don't override it.
+ */
+export const NODE_SHAPES = {
+  circle: 'Circle',
+  rounded: 'Rounded rectangle',
+  pill: 'Pill'
+};
+
+export const NODE_EMPHASIS = {
+  small: { label: 'Small', scale: 0.8 },
+  normal: { label: 'Normal', scale: 1 },
+  large: { label: 'Large', scale: 1.3 }
+};
+
+export const BORDER_STYLES = {
+  none: { label: 'None', dash: null },
+  solid: { label: 'Solid', dash: 'none' },
+  dashed: { label: 'Dashed', dash: '8 5' },
+  dotted: { label: 'Dotted', dash: '2 4' }
+};
+
+export const ICON_MAX_LENGTH = 8;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const STYLE_FIELDS = ['color', 'shape', 'borderColor', 'borderStyle', 'icon', 'emphasis', 'inherit'];
+
+// Keep only valid style fields; returns undefined when nothing is left
+export const normalizeNodeStyle = (style) => {
+  if (!style || typeof style !== 'object') return undefined;
+  const valid = {
+    color: HEX_COLOR.test(style.color) ? style.color.toLowerCase() : undefined,
+    shape: NODE_SHAPES[style.shape] ? style.shape : undefined,
+    borderColor: HEX_COLOR.test(style.borderColor) ? style.borderColor.toLowerCase() : undefined,
+    borderStyle: BORDER_STYLES[style.borderStyle] ? style.borderStyle : undefined,
+    icon: typeof style.icon === 'string' && style.icon.trim() ? style.icon.trim().slice(0, ICON_MAX_LENGTH) : undefined,
+    emphasis: NODE_EMPHASIS[style.emphasis] ? style.emphasis : undefined,
+    inherit: style.inherit === true || undefined
+  };
+  const result = Object.fromEntries(STYLE_FIELDS.filter(field => valid[field] !== undefined).map(field => [field, valid[field]]));
+  return Object.keys(result).length ? result : undefined;
+};
+
+/**
+ * Effective style of a node given what it inherits from its ancestors.
+ * Returns the style to draw it with and the style its children inherit.
+ */
+export const resolveNodeStyle = (ownStyle, inherited = {}) => {
+  const { inherit, ...own } = ownStyle || {};
+  const style = { ...inherited, ...own };
+  return { style, childStyle: inherit ? style : inherited };
+};
+
+// Style a subtree root inherits from its ancestors (root first), e.g. when drilled into
+export const getInheritedStyle = (ancestors) =>
+  (ancestors || []).reduce((inherited, node) => resolveNodeStyle(node.style, inherited).childStyle, {});
+
+// Black or white, whichever reads better on a custom fill
+const contrastText = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+    .map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.4 ? '#000' : '#fff';
+};
+
+/**
+ * Everything needed to draw one laid-out node ({ level, title, radius, _style }),
+ * shared by the SVG node, the canvas renderer and the exports.
+ * Every shape fits inside the circle of `radius`, so layouts stay collision-free.
+ */
+export const getNodeAppearance = (node, theme) => {
+  const style = node._style || {};
+  const size = node.radius;
+  const shape = NODE_SHAPES[style.shape] ? style.shape : 'circle';
+  let width = size * 2;
+  let height = size * 2;
+  let cornerRadius = size;
+  if (shape === 'rounded') {
+    width = size * 1.7;
+    height = size * 1.2;
+    cornerRadius = size * 0.25;
+  } else if (shape === 'pill') {
+    height = size;
+    cornerRadius = size / 2;
+  }
+  const fill = style.color || getNodeColor(node.level, theme);
+  const border = style.borderStyle && style.borderStyle !== 'none'
+    ? { color: style.borderColor || getThemeColors(theme).text, dash: BORDER_STYLES[style.borderStyle].dash }
+    : null;
+  // The expand badge sits on the top-right edge of the shape
+  const badge = shape === 'circle'
+    ? { x: size - 5, y: -size + 5 }
+    : { x: width / 2 - Math.max(6, cornerRadius * 0.3), y: -height / 2 + Math.max(6, cornerRadius * 0.3) };
+  return {
+    shape,
+    size,
+    width,
+    height,
+    cornerRadius,
+    fill,
+    text: style.color ? contrastText(style.color) : getThemeColors(theme).text,
+    border,
+    icon: style.icon || null,
+    badge
+  };
+};
+
+// Short form of a node count for badges: 7, 250, 1.3k, 12k
+export const formatCount = (count) => {
+  if (count < 1000) return String(count);
+  if (count < 10000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+  return `${Math.round(count / 1000)}k`;
+};
+
+/**
+ * The expand badge of a node with children: "−" while expanded, the number of nodes inside
+ * while collapsed. Counts too wide for the circle stretch it into a pill around the same center.
+ */
+export const getExpandBadge = (appearance, expanded, descendantCount = 0) => {
+  const label = expanded ? '−' : formatCount(descendantCount);
+  return {
+    x: appearance.badge.x,
+    y: appearance.badge.y,
+    label,
+    width: Math.max(16, label.length * 6 + 6),
+    height: 16
+  };
+};
+
+// Outline of a shape grown by `offset` on every side, for rings around a node
+export const getShapeOutline = ({ width, height, cornerRadius }, offset = 0) => ({
+  x: -width / 2 - offset,
+  y: -height / 2 - offset,
+  width: width + offset * 2,
+  height: height + offset * 2,
+  rx: Math.min(cornerRadius + offset, height / 2 + offset)
+});
+
+export const ICON_FONT_SIZE = 20;
+const ICON_GAP = 2;
+
+// Vertical offsets (px) of the icon and the first title line, centering both as one block
+export const getContentOffsets = (lineCount, fontSize, hasIcon) => {
+  const lineHeight = fontSize * TITLE_LINE_HEIGHT;
+  const textHeight = lineCount * lineHeight;
+  if (!hasIcon) return { iconY: null, firstLineY: -((lineCount - 1) * lineHeight) / 2 };
+  const top = -(ICON_FONT_SIZE + ICON_GAP + textHeight) / 2;
+  return {
+    iconY: top + ICON_FONT_SIZE / 2,
+    firstLineY: top + ICON_FONT_SIZE + ICON_GAP + lineHeight / 2
+  };
+};
+
+export const TITLE_LINE_HEIGHT = 1.1;
+
+// Split a title into at most 3 centered lines, adding an ellipsis when truncated
+export const wrapTitle = (title, level) => {
+  const maxChars = level === 0 ? 15 : 12; // More chars for dynamic sizing
+  if (title.length <= maxChars) return [title];
+
+  const words = title.split(' ');
+  let lines = [];
+  let currentLine = '';
+
+  words.forEach(word => {
+    if ((currentLine + word).length <= maxChars) {
+      currentLine += (currentLine ? ' ' : '') + word;
+    } else {
+      if (currentLine) lines.push(currentLine);
+      currentLine = word;
+    }
+  });
+  if (currentLine) lines.push(currentLine);
+
+  // Limit to 3 lines for larger nodes
+  lines = lines.slice(0, 3);
+
+  // Add ellipsis if text was truncated
+  if (title.length > maxChars * 3) {
+    lines[lines.length - 1] += '...';
+  }
+  return lines;
+};
@@ -0,0 +1,221 @@
+import { normalizeNodeStyle } from './nodeStyle';
+import { normalizeTags } from './tags';
+import { normalizeTask } from './tasks';
+import { createId } from './tree';
+
+/**
+ * The mind map document schema: the tree described in the README, whose root records
+ * the `schemaVersion` it was written with. validateMindMap reports every problem with its path;
+ * repairMindMap brings older documents up to date and fixes what it finds, so a damaged map still opens.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+// Step i takes a document from version i to i + 1. Version 0 covers everything saved before
+// the version was recorded - the same shape, so only the repair (duplicate ids above all) is needed.
+const MIGRATIONS = [
+  (root) => root
+];
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const withArticle = (type) => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+
+const versionOf = (root) => root.schemaVersion ?? 0;
+
+const isVersion = (version) => Number.isInteger(version) && version >= 0;
+
+/**
+ * Walk a raw document, building the repaired tree and calling `report(path, kind, message)` for each problem.
+ * Kinds: 'type' (not a node, or a field of the wrong type - dropped or reset), 'missing' (a node field - filled in),
+ * 'id' (a missing or duplicate id - reassigned), 'link' (a cross-link to no other node - dropped)
+ * and 'version' (written by a newer version of the app - repairing it may lose what that version added). Returns null when the root is not a node at all.
+ * Links may also point at `outsideIds`, nodes of the map a fragment of a document is going into.
+ */
+const checkDocument = (rawRoot, report, outsideIds = new Set()) => {
+  if (typeOf(rawRoot) !== 'object') {
+    report('root', 'type', `should be a node object, found ${typeOf(rawRoot)}`);
+    return null;
+  }
+  const version = versionOf(rawRoot);
+  if (!isVersion(version)) {
+    report('root.schemaVersion', 'type', `should be a whole number, found ${typeOf(version)}`);
+  } else if (version > SCHEMA_VERSION) {
+    report('root.schemaVersion', 'version', `is ${version}, newer than this app understands (${SCHEMA_VERSION})`);
+  }
+
+  const usedIds = new Map();
+  const pendingLinks = [];
+  let rootAlias = null;
+
+  // The value if it has the expected type, otherwise the fallback
+  const expect = (value, expected, path, fallback) => {
+    if (value === undefined) return fallback;
+    if (typeOf(value) === expected) return value;
+    report(path, 'type', `should be ${withArticle(expected)}, found ${typeOf(value)}`);
+    return fallback;
+  };
+
+  const expectStrings = (value, path) => expect(value, 'array', path, []).filter((item, i) => {
+    if (typeof item === 'string') return true;
+    report(`${path}[${i}]`, 'type', `should be a string, found ${typeOf(item)}`);
+    return false;
+  });
+
+  const checkId = (raw, path, isRoot) => {
+    let id = typeof raw.id === 'number' ? String(raw.id) : raw.id;
+    // The app addresses the top of the tree as 'root'; links to its old id are redirected
+    if (isRoot) {
+      if (id === undefined) {
+        report(`${path}.id`, 'id', 'is missing');
+      } else if (id !== 'root') {
+        report(`${path}.id`, 'id', `is ${typeof id === 'string' ? `"${id}"` : typeOf(id)}, but the top of the map is always "root"`);
+        if (typeof id === 'string') rootAlias = id;
+      }
+      return 'root';
+    }
+    if (id === undefined) {
+      report(`${path}.id`, 'id', 'is missing');
+      id = null;
+    } else if (typeof id !== 'string' || !id) {
+      report(`${path}.id`, 'id', `should be a non-empty string, found ${typeOf(id)}`);
+      id = null;
+    } else if (id === 'root') {
+      report(`${path}.id`, 'id', '"root" is reserved for the top of the map');
+      id = null;
+    } else if (usedIds.has(id)) {
+      report(`${path}.id`, 'id', `"${id}" is already used by ${usedIds.get(id)}`);
+      id = null;
+    }
+    return id ?? createId('node');
+  };
+
+  const checkNode = (raw, path, isRoot) => {
+    const field = (name, expected, fallback) => {
+      if (raw[name] === undefined) report(`${path}.${name}`, 'missing', 'is missing');
+      return expect(raw[name], expected, `${path}.${name}`, fallback);
+    };
+
+    const id = checkId(raw, path, isRoot);
+    usedIds.set(id, path);
+
+    const rawMetadata = field('metadata', 'object', {});
+    const metadata = {
+      ...rawMetadata,
+      notes: expect(rawMetadata.notes, 'string', `${path}.metadata.notes`, ''),
+      inputs: expectStrings(rawMetadata.inputs, `${path}.metadata.inputs`),
+      outputs: expectStrings(rawMetadata.outputs, `${path}.metadata.outputs`)
+    };
+    const tags = normalizeTags(expectStrings(rawMetadata.tags, `${path}.metadata.tags`));
+    if (tags.length) metadata.tags = tags;
+    else delete metadata.tags;
+
+    // Unknown or invalid style and task fields are dropped quietly
+    const style = normalizeNodeStyle(expect(raw.style, 'object', `${path}.style`, undefined));
+    const task = normalizeTask(expect(raw.task, 'object', `${path}.task`, undefined));
+
+    const links = expect(raw.crossLinks, 'array', `${path}.crossLinks`, []).flatMap((link, i) => {
+      const linkPath = `${path}.crossLinks[${i}]`;
+      if (typeOf(link) !== 'object') {
+        report(linkPath, 'type', `should be a link object, found ${typeOf(link)}`);
+        return [];
+      }
+      if (typeof link.target !== 'string' && typeof link.target !== 'number') {
+        report(`${linkPath}.target`, 'type', `should be a node id, found ${typeOf(link.target)}`);
+        return [];
+      }
+      return [{
+        path: linkPath,
+        link: {
+          ...link,
+          target: String(link.target),
+          type: expect(link.type, 'string', `${linkPath}.type`, '') || 'related',
+          label: expect(link.label, 'string', `${linkPath}.label`, '')
+        }
+      }];
+    });
+
+    // Fields the schema doesn't know are kept as they are
+    const {
+      id: rawId, title, summary, description, metadata: rawMeta, style: rawStyle, task: rawTask,
+      crossLinks: rawLinks, children, schemaVersion, ...fields
+    } = raw;
+    const node = {
+      id,
+      title: field('title', 'string', ''),
+      summary: field('summary', 'string', ''),
+      description: field('description', 'string', ''),
+      metadata,
+      ...fields,
+      ...(style ? { style } : {}),
+      ...(task ? { task } : {}),
+      children: field('children', 'array', []).flatMap((child, i) => {
+        const childPath = `${path}.children[${i}]`;
+        if (typeOf(child) === 'object') return [checkNode(child, childPath, false)];
+        report(childPath, 'type', `should be a node object, found ${typeOf(child)}`);
+        return [];
+      })
+    };
+    if (links.length) pendingLinks.push({ node, links });
+    return node;
+  };
+
+  const root = checkNode(rawRoot, 'root', true);
+
+  // Links are resolved once every node id is known; they get unique ids of their own
+  const usedLinkIds = new Set();
+  pendingLinks.forEach(({ node, links }) => {
+    const crossLinks = links.flatMap(({ path, link }) => {
+      const target = link.target === rootAlias ? 'root' : link.target;
+      if (target === node.id) {
+        report(`${path}.target`, 'link', 'points back at its own node');
+        return [];
+      }
+      if (!usedIds.has(target) && !outsideIds.has(target)) {
+        report(`${path}.target`, 'link', `"${target}" is not a node in this map`);
+        return [];
+      }
+      let { id } = link;
+      if (typeof id !== 'string' || !id || usedLinkIds.has(id)) {
+        report(`${path}.id`, 'id', typeof id === 'string' && id ? `"${id}" is already used by another link` : 'is missing');
+        id = createId('link');
+      }
+      usedLinkIds.add(id);
+      return [{ ...link, id, target }];
+    });
+    if (crossLinks.length) node.crossLinks = crossLinks;
+  });
+
+  return { schemaVersion: isVersion(version) ? Math.max(version, SCHEMA_VERSION) : SCHEMA_VERSION, ...root };
+};
+
+/**
+ * Every problem in a document as { path, kind, message }, e.g.
+ * { path: 'root.children[2].id', kind: 'id', message: '"a" is already used by root.children[0]' }.
+ * An empty list means the document can be used as it is.
+ */
+export const validateMindMap = (root) => {
+  const problems = [];
+  checkDocument(root, (path, kind, message) => problems.push({ path, kind, message }));
+  return problems;
+};
+
+// Run the migrations a document of an older version still needs
+const migrate = (root) => {
+  if (typeOf(root) !== 'object' || !isVersion(versionOf(root))) return root;
+  return MIGRATIONS.slice(versionOf(root)).reduce((doc, step) => step(doc), root);
+};
+
+export const describeProblem = ({ path, message }) => `${path} ${message}`;
+
+/**
+ * Migrate and repair a document: { data, problems } with the fixed tree, stamped with the current
+ * schema version, and the problems found on the way (after migrating). Throws when the root isn't a node.
+ * Cross-links to `outsideIds` are kept (see checkDocument).
+ */
+export const repairMindMap = (root, { outsideIds } = {}) => {
+  const problems = [];
+  const data = checkDocument(migrate(root), (path, kind, message) => problems.push({ path, kind, message }), outsideIds);
+  if (!data) throw new Error(describeProblem(problems[0]));
+  return { data, problems };
+};
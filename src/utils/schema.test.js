@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION, validateMindMap, repairMindMap } from './schema';
+import { collectIds } from './tree';
+
+const node = (id, fields = {}) => ({
+  id,
+  title: id,
+  summary: '',
+  description: '',
+  metadata: { notes: '', inputs: [], outputs: [] },
+  children: [],
+  ...fields
+});
+
+const map = (children, fields = {}) => node('root', { schemaVersion: SCHEMA_VERSION, children, ...fields });
+
+const paths = (problems) => problems.map(problem => problem.path);
+
+describe('validateMindMap', () => {
+  it('accepts a well-formed document', () => {
+    const doc = map([
+      node('a', { crossLinks: [{ id: 'l1', target: 'b', type: 'calls', label: '' }] }),
+      node('b', { metadata: { notes: 'n', inputs: ['in'], outputs: [], tags: ['api'] }, task: { done: false } })
+    ]);
+    expect(validateMindMap(doc)).toEqual([]);
+  });
+
+  it('reports duplicate node ids with the node that uses them first', () => {
+    const doc = map([node('a'), node('b', { children: [node('a')] })]);
+    expect(validateMindMap(doc)).toEqual([
+      { path: 'root.children[1].children[0].id', kind: 'id', message: '"a" is already used by root.children[0]' }
+    ]);
+  });
+
+  it('reports missing and reserved ids', () => {
+    const { id, ...anonymous } = node('x');
+    const doc = map([anonymous, node('root'), node(7, { title: 'numeric ids are fine' })]);
+    expect(validateMindMap(doc)).toEqual([
+      { path: 'root.children[0].id', kind: 'id', message: 'is missing' },
+      { path: 'root.children[1].id', kind: 'id', message: '"root" is reserved for the top of the map' }
+    ]);
+  });
+
+  it('reports a root id other than "root"', () => {
+    expect(validateMindMap(map([], { id: 'top' }))).toEqual([
+      { path: 'root.id', kind: 'id', message: 'is "top", but the top of the map is always "root"' }
+    ]);
+  });
+
+  it('reports missing node fields', () => {
+    const doc = map([{ id: 'a' }]);
+    expect(validateMindMap(doc)).toEqual(['metadata', 'title', 'summary', 'description', 'children'].map(field => (
+      { path: `root.children[0].${field}`, kind: 'missing', message: 'is missing' }
+    )));
+  });
+
+  it('reports fields of the wrong type', () => {
+    const doc = map([
+      node('a', { title: 5, children: 'none' }),
+      'not a node',
+      node('b', { metadata: { notes: null, inputs: ['ok', 3], outputs: {}, tags: ['x', {}] }, style: [] }),
+      node('c', { crossLinks: [42, { id: 'l', target: true }, { id: 'm', target: 'a', label: 1 }] })
+    ]);
+    expect(validateMindMap(doc)).toEqual([
+      { path: 'root.children[0].title', kind: 'type', message: 'should be a string, found number' },
+      { path: 'root.children[0].children', kind: 'type', message: 'should be an array, found string' },
+      { path: 'root.children[1]', kind: 'type', message: 'should be a node object, found string' },
+      { path: 'root.children[2].metadata.notes', kind: 'type', message: 'should be a string, found null' },
+      { path: 'root.children[2].metadata.inputs[1]', kind: 'type', message: 'should be a string, found number' },
+      { path: 'root.children[2].metadata.outputs', kind: 'type', message: 'should be an array, found object' },
+      { path: 'root.children[2].metadata.tags[1]', kind: 'type', message: 'should be a string, found object' },
+      { path: 'root.children[2].style', kind: 'type', message: 'should be an object, found array' },
+      { path: 'root.children[3].crossLinks[0]', kind: 'type', message: 'should be a link object, found number' },
+      { path: 'root.children[3].crossLinks[1].target', kind: 'type', message: 'should be a node id, found boolean' },
+      { path: 'root.children[3].crossLinks[2].label', kind: 'type', message: 'should be a string, found number' }
+    ]);
+  });
+
+  it('reports a root that is not a node', () => {
+    expect(validateMindMap(null)).toEqual([{ path: 'root', kind: 'type', message: 'should be a node object, found null' }]);
+    expect(validateMindMap([])).toEqual([{ path: 'root', kind: 'type', message: 'should be a node object, found array' }]);
+  });
+
+  it('reports dangling and self links', () => {
+    const doc = map([
+      node('a', {
+        crossLinks: [
+          { id: 'l1', target: 'ghost', type: 'related', label: '' },
+          { id: 'l2', target: 'a', type: 'related', label: '' }
+        ]
+      })
+    ]);
+    expect(validateMindMap(doc)).toEqual([
+      { path: 'root.children[0].crossLinks[0].target', kind: 'link', message: '"ghost" is not a node in this map' },
+      { path: 'root.children[0].crossLinks[1].target', kind: 'link', message: 'points back at its own node' }
+    ]);
+  });
+
+  it('reports duplicate and missing link ids', () => {
+    const doc = map([
+      node('a', { crossLinks: [{ id: 'l1', target: 'b' }, { id: 'l1', target: 'root' }, { target: 'b' }] }),
+      node('b')
+    ]);
+    expect(validateMindMap(doc)).toEqual([
+      { path: 'root.children[0].crossLinks[1].id', kind: 'id', message: '"l1" is already used by another link' },
+      { path: 'root.children[0].crossLinks[2].id', kind: 'id', message: 'is missing' }
+    ]);
+  });
+
+  it('accepts documents from before the version was recorded', () => {
+    const { schemaVersion, ...unversioned } = map([node('a')]);
+    expect(validateMindMap(unversioned)).toEqual([]);
+  });
+
+  it('reports a document from a newer version and a malformed version', () => {
+    expect(validateMindMap(map([], { schemaVersion: SCHEMA_VERSION + 1 }))).toEqual([{
+      path: 'root.schemaVersion',
+      kind: 'version',
+      message: `is ${SCHEMA_VERSION + 1}, newer than this app understands (${SCHEMA_VERSION})`
+    }]);
+    expect(paths(validateMindMap(map([], { schemaVersion: '1' })))).toEqual(['root.schemaVersion']);
+  });
+});
+
+describe('repairMindMap', () => {
+  it('migrates an unversioned document to the current version', () => {
+    const { schemaVersion, ...unversioned } = map([node('a')]);
+    const { data, problems } = repairMindMap(unversioned);
+    expect(problems).toEqual([]);
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(data.children[0].id).toBe('a');
+  });
+
+  it('keeps the version of a newer document and reports it', () => {
+    const { data, problems } = repairMindMap(map([], { schemaVersion: SCHEMA_VERSION + 1 }));
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION + 1);
+    expect(problems.map(problem => problem.kind)).toEqual(['version']);
+  });
+
+  it('returns a document that validates cleanly', () => {
+    const doc = map([
+      node('a', { title: 5, crossLinks: [{ id: 'l1', target: 'ghost' }, { target: 'b' }] }),
+      node('a', { children: [{ id: 'b' }, 3] }),
+      node('b', { metadata: { inputs: ['ok', 1] }, schemaVersion: 1 })
+    ], { id: 'top' });
+    const { data, problems } = repairMindMap(doc);
+    expect(problems.length).toBeGreaterThan(0);
+    expect(validateMindMap(data)).toEqual([]);
+
+    const ids = collectIds(data);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(data.id).toBe('root');
+    expect(data.children[0].title).toBe('');
+    expect(data.children[1].children).toHaveLength(1);
+    expect(data.children[2].metadata.inputs).toEqual(['ok']);
+    expect(data.children[2].schemaVersion).toBeUndefined();
+  });
+
+  it('points links at the reassigned root id', () => {
+    const doc = map([node('a', { crossLinks: [{ id: 'l1', target: 'top' }] })], { id: 'top' });
+    const { data } = repairMindMap(doc);
+    expect(data.children[0].crossLinks).toEqual([{ id: 'l1', target: 'root', type: 'related', label: '' }]);
+  });
+
+  it('keeps links to the ids it is told are outside the document', () => {
+    const doc = map([node('a', { crossLinks: [{ id: 'l1', target: 'elsewhere' }, { id: 'l2', target: 'ghost' }] })]);
+    const { data } = repairMindMap(doc, { outsideIds: new Set(['elsewhere']) });
+    expect(data.children[0].crossLinks.map(link => link.target)).toEqual(['elsewhere']);
+  });
+
+  it('throws when the root is not a node', () => {
+    expect(() => repairMindMap('map')).toThrow('root should be a node object, found string');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Full-text search over every node of a tree, regardless of expansion or drill-down
+ */
+
+const SNIPPET_CONTEXT = 30;
+
+// Searched fields in priority order - a node is reported once, for its first matching field
+const SEARCH_FIELDS = [
+  ['title', node => node.title],
+  ['summary', node => node.summary],
+  ['description', node => node.description],
+  ['notes', node => node.metadata?.notes],
+  ['inputs', node => (node.metadata?.inputs || []).join(' · ')],
+  ['outputs', node => (node.metadata?.outputs || []).join(' · ')],
+  ['tags', node => (node.metadata?.tags || []).join(' · ')],
+  ['assignee', node => node.task?.assignee]
+];
+
+// Split the text around a match so the UI can highlight it
+const makeSnippet = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  return {
+    before: (start > 0 ? '…' : '') + text.slice(start, index).replace(/\s+/g, ' '),
+    match: text.slice(index, index + length),
+    after: text.slice(index + length, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '')
+  };
+};
+
+/**
+ * Case-insensitive search of titles, summaries, descriptions and metadata.
+ * Returns results in tree order as { node, path, field, snippet }, where path
+ * is the list of ancestor nodes from the root.
+ */
+export const searchNodes = (root, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!root || !needle) return [];
+  const results = [];
+  const path = [];
+
+  const walk = (node) => {
+    for (const [field, read] of SEARCH_FIELDS) {
+      const text = read(node) || '';
+      const index = text.toLowerCase().indexOf(needle);
+      if (index !== -1) {
+        results.push({ node, path: [...path], field, snippet: makeSnippet(text, index, needle.length) });
+        break;
+      }
+    }
+    path.push(node);
+    (node.children || []).forEach(walk);
+    path.pop();
+  };
+
+  walk(root);
+  return results;
+};
+
+// Ids of every node above a match - the branches a filter reveals and keeps
+export const collectAncestorIds = (results) => {
+  const ids = new Set();
+  results.forEach(({ path }) => path.forEach(ancestor => ids.add(ancestor.id)));
+  return ids;
+};
+
+// Copy of a tree without the children that are not in `keepIds`
+export const pruneTree = (node, keepIds) => ({
+  ...node,
+  children: (node.children || []).filter(child => keepIds.has(child.id)).map(child => pruneTree(child, keepIds))
+});
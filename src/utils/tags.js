@@ -0,0 +1,106 @@
+/**
+ * Tags: free-form labels such as "backend" or "owner:payments", stored per node in `metadata.tags`.
+ * A tag's color is derived from its name, so the same tag looks the same everywhere.
+ */
+
+export const TAG_MAX_LENGTH = 40;
+const MAX_CHIPS = 3;
+const CHIP_LABEL_LENGTH = 14;
+const CHIP_HEIGHT = 14;
+const CHIP_GAP = 4;
+// Rough width of one character at the chip font size - chips are laid out without measuring text
+const CHIP_CHAR_WIDTH = 5.6;
+
+const TAG_COLORS = ['#ff6b6b', '#feca57', '#48dbfb', '#1dd1a1', '#ff9ff3', '#54a0ff', '#ff9f43', '#c8d6e5'];
+export const TAG_TEXT_COLOR = '#1a1a1a';
+export const TAG_FONT_SIZE = 9;
+
+// Single-spaced and trimmed; commas separate tags in OPML, so they can't be part of one
+export const normalizeTag = (tag) =>
+  typeof tag === 'string' ? tag.replace(/,/g, ' ').replace(/\s+/g, ' ').trim().slice(0, TAG_MAX_LENGTH) : '';
+
+// Valid, distinct tags in their original order
+export const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+
+export const getTagColor = (tag) => {
+  let hash = 0;
+  for (let i = 0; i < tag.length; i++) hash = (hash * 31 + tag.charCodeAt(i)) | 0;
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+};
+
+// Every tag in a tree with the number of nodes carrying it, sorted by name
+export const collectTags = (root) => {
+  const counts = new Map();
+  const walk = (node) => {
+    (node.metadata?.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    (node.children || []).forEach(walk);
+  };
+  if (root) walk(root);
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Nodes carrying any of `tags`, in tree order, as { node, path } like search results
+ * (so collectAncestorIds works on them too).
+ */
+export const findTaggedNodes = (root, tags) => {
+  const results = [];
+  const path = [];
+  const walk = (node) => {
+    if ((node.metadata?.tags || []).some(tag => tags.has(tag))) results.push({ node, path: [...path] });
+    path.push(node);
+    (node.children || []).forEach(walk);
+    path.pop();
+  };
+  if (root && tags.size) walk(root);
+  return results;
+};
+
+/**
+ * Rename `from` to `to` on every node. Renaming onto an existing tag merges the two,
+ * so no node ends up with the same tag twice. Untouched nodes keep their identity.
+ */
+export const replaceTag = (node, from, to) => {
+  let { metadata } = node;
+  const tags = metadata?.tags;
+  let changed = false;
+  if (tags?.includes(from)) {
+    metadata = { ...metadata, tags: normalizeTags(tags.map(tag => (tag === from ? to : tag))) };
+    changed = true;
+  }
+  let { children } = node;
+  if (children) {
+    const nextChildren = children.map(child => replaceTag(child, from, to));
+    if (nextChildren.some((child, i) => child !== children[i])) {
+      children = nextChildren;
+      changed = true;
+    }
+  }
+  return changed ? { ...node, metadata, children } : node;
+};
+
+/**
+ * Chips for a node's tags, centered in a row whose top edge is `top` (relative to the node's center).
+ * Long lists end with a "+N" chip. Returns [{ label, color, x, y, width, height }].
+ */
+export const layoutTagChips = (tags, top) => {
+  if (!tags?.length) return [];
+  const chips = tags.slice(0, MAX_CHIPS).map(tag => ({
+    label: tag.length > CHIP_LABEL_LENGTH ? `${tag.slice(0, CHIP_LABEL_LENGTH - 1)}…` : tag,
+    color: getTagColor(tag)
+  }));
+  if (tags.length > MAX_CHIPS) chips.push({ label: `+${tags.length - MAX_CHIPS}`, color: '#888' });
+  chips.forEach(chip => {
+    chip.width = Math.round(chip.label.length * CHIP_CHAR_WIDTH + 10);
+  });
+  const total = chips.reduce((sum, chip) => sum + chip.width, 0) + CHIP_GAP * (chips.length - 1);
+  let x = -total / 2;
+  return chips.map(chip => {
+    const placed = { ...chip, x, y: top, height: CHIP_HEIGHT };
+    x += chip.width + CHIP_GAP;
+    return placed;
+  });
+};
+
+// Top edge of a node's chip row: the chips straddle the bottom of the shape, like the expand badge its corner
+export const getTagChipsTop = (appearance) => appearance.height / 2 - CHIP_HEIGHT / 2;
@@ -0,0 +1,116 @@
+/**
+ * Task mode: any node can carry a task state, stored as
+ * `node.task = { done, priority, due, assignee }`. Only `done` is required;
+ * `due` is a local calendar date (YYYY-MM-DD) so it means the same day in every time zone.
+ */
+
+export const TASK_PRIORITIES = {
+  high: { label: 'High', color: '#ff6b6b' },
+  medium: { label: 'Medium', color: '#feca57' },
+  low: { label: 'Low', color: '#48dbfb' }
+};
+
+export const ASSIGNEE_MAX_LENGTH = 60;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const TASK_COLORS = { done: '#4caf50', open: '#333', overdue: '#e53935', track: 'rgba(255, 255, 255, 0.15)' };
+
+// Local date as YYYY-MM-DD, comparable as a string
+export const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// Keep only valid task fields; returns undefined for anything that isn't a task object
+export const normalizeTask = (task) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) return undefined;
+  const assignee = typeof task.assignee === 'string'
+    ? task.assignee.replace(/\s+/g, ' ').trim().slice(0, ASSIGNEE_MAX_LENGTH)
+    : '';
+  return {
+    done: task.done === true,
+    ...(TASK_PRIORITIES[task.priority] ? { priority: task.priority } : {}),
+    ...(isValidDate(task.due) ? { due: task.due } : {}),
+    ...(assignee ? { assignee } : {})
+  };
+};
+
+export const isOverdue = (task, today) => Boolean(task && !task.done && task.due && task.due < today);
+
+/**
+ * Roll-up of every task below each node: Map of node id to { done, total }.
+ * A node's own task is not part of its roll-up - the ring shows how far its subtree is.
+ */
+export const collectTaskProgress = (root) => {
+  const progress = new Map();
+  const walk = (node) => {
+    const own = { done: 0, total: 0 };
+    (node.children || []).forEach(child => {
+      const below = walk(child);
+      own.done += below.done + (child.task?.done ? 1 : 0);
+      own.total += below.total + (child.task ? 1 : 0);
+    });
+    if (own.total) progress.set(node.id, own);
+    return own;
+  };
+  if (root) walk(root);
+  return progress;
+};
+
+// Everyone tasks are assigned to, sorted by name
+export const collectAssignees = (root) => {
+  const names = new Set();
+  const walk = (node) => {
+    if (node.task?.assignee) names.add(node.task.assignee);
+    (node.children || []).forEach(walk);
+  };
+  if (root) walk(root);
+  return [...names].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Tasks passing a filter of { overdue, assignee }, in tree order as { node, path } like search results.
+ * An empty filter matches nothing.
+ */
+export const findTasks = (root, { overdue, assignee }, today) => {
+  const results = [];
+  if (!root || (!overdue && !assignee)) return results;
+  const path = [];
+  const walk = (node) => {
+    const { task } = node;
+    if (task && (!overdue || isOverdue(task, today)) && (!assignee || task.assignee === assignee)) {
+      results.push({ node, path: [...path] });
+    }
+    path.push(node);
+    (node.children || []).forEach(walk);
+    path.pop();
+  };
+  walk(root);
+  return results;
+};
+
+/**
+ * How a task node's status badge looks: a check when done, an exclamation mark when overdue,
+ * otherwise an empty circle ringed in the priority color.
+ */
+export const getTaskBadge = (task, today) => {
+  if (!task) return null;
+  if (task.done) return { fill: TASK_COLORS.done, stroke: '#fff', symbol: '✓' };
+  if (isOverdue(task, today)) return { fill: TASK_COLORS.overdue, stroke: '#fff', symbol: '!' };
+  return { fill: TASK_COLORS.open, stroke: TASK_PRIORITIES[task.priority]?.color || '#fff', symbol: '' };
+};
+
+// One-line summary, e.g. "Overdue, high priority, due 2024-05-01, assigned to Sam"
+export const describeTask = (task, today) => [
+  task.done ? 'Done' : isOverdue(task, today) ? 'Overdue' : 'Open',
+  task.priority && `${TASK_PRIORITIES[task.priority].label.toLowerCase()} priority`,
+  task.due && `due ${task.due}`,
+  task.assignee && `assigned to ${task.assignee}`
+].filter(Boolean).join(', ');
@@ -0,0 +1,33 @@
+/**
+ * Text helpers shared by the editing surfaces and exporters
+ */
+
+// Descriptions and notes are Markdown and may be long; titles and summaries keep their own limits
+export const MARKDOWN_MAX_LENGTH = 20000;
+
+// Normalize user input: unify line endings, drop control characters and trim.
+// Markup is left alone - React and the exporters escape text wherever it is shown.
+export const sanitizeInput = (input) => {
+  return input
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '')
+    .trim();
+};
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Put plain text on the clipboard; browsers without the Clipboard API (or outside a secure context) reject
+export const copyText = async (text) => {
+  if (!navigator.clipboard) throw new Error('the clipboard is not available in this browser');
+  await navigator.clipboard.writeText(text);
+};
+
+export const readText = async () => {
+  if (!navigator.clipboard?.readText) throw new Error('this browser only pastes with Ctrl+V');
+  return navigator.clipboard.readText();
+};
@@ -0,0 +1,121 @@
+/**
+ * Pure helpers for walking and querying the mindmap tree
+ * Nodes follow the { id, title, summary, description, metadata, children } shape
+ */
+
+// Depth-first search for a node by id
+export const findNodeById = (node, id) => {
+  if (!node) return null;
+  if (node.id === id) return node;
+  if (node.children) {
+    for (const child of node.children) {
+      const found = findNodeById(child, id);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+// Find the parent of the node with the given id (null for the root or a missing node)
+export const findParentNode = (node, id) => {
+  if (!node?.children) return null;
+  for (const child of node.children) {
+    if (child.id === id) return node;
+    const found = findParentNode(child, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Collect the ids of a node and all of its descendants
+export const collectIds = (node) => {
+  const ids = [node.id];
+  if (node.children) node.children.forEach(child => ids.push(...collectIds(child)));
+  return ids;
+};
+
+// True when `id` is the node itself or anywhere inside its subtree
+export const isInSubtree = (node, id) => findNodeById(node, id) !== null;
+
+// Ancestors of a node from the root down (empty for the root, null for a missing node)
+export const findAncestors = (node, id, path = []) => {
+  if (!node) return null;
+  if (node.id === id) return path;
+  for (const child of node.children || []) {
+    const found = findAncestors(child, id, [...path, node]);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Number of nodes below each node, as a Map of id to count (leaves are left out)
+export const countDescendants = (root) => {
+  const counts = new Map();
+  const walk = (node) => {
+    const total = (node.children || []).reduce((sum, child) => sum + 1 + walk(child), 0);
+    if (total) counts.set(node.id, total);
+    return total;
+  };
+  if (root) walk(root);
+  return counts;
+};
+
+// Ids of a node and its descendants fewer than `depth` levels below it - the ones to expand to show `depth` levels
+export const collectIdsToDepth = (node, depth) => {
+  if (depth <= 0) return [];
+  return [node.id, ...(node.children || []).flatMap(child => collectIdsToDepth(child, depth - 1))];
+};
+
+// Levels below a node: 0 for a leaf
+export const getSubtreeDepth = (node) =>
+  (node.children || []).reduce((max, child) => Math.max(max, 1 + getSubtreeDepth(child)), 0);
+
+// The nodes listed in `ids` that are not inside another listed node, in document order
+export const findTopmost = (root, ids) => {
+  const found = [];
+  const walk = (node) => {
+    if (ids.has(node.id)) found.push(node);
+    else (node.children || []).forEach(walk);
+  };
+  if (root) walk(root);
+  return found;
+};
+
+/**
+ * Just the listed nodes, as a forest: each keeps the listed nodes below it as children,
+ * while the nodes in between are left out and their listed descendants move up.
+ */
+export const extractNodes = (node, ids) => {
+  const children = (node.children || []).flatMap(child => extractNodes(child, ids));
+  return ids.has(node.id) ? [{ ...node, children }] : children;
+};
+
+// A random (version 4) UUID; crypto.randomUUID only exists in secure contexts
+const randomUuid = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// New node or link id, unique across tabs, sessions and maps
+export const createId = (prefix) => `${prefix}-${randomUuid()}`;
+
+/**
+ * Deep copy of a subtree with fresh node and cross-link ids. Cross-links between copied nodes
+ * point at the copies; links leaving the subtree keep their target.
+ */
+export const copySubtree = (root) => {
+  const ids = new Map(collectIds(root).map(id => [id, createId('node')]));
+  const copy = (node) => ({
+    ...node,
+    id: ids.get(node.id),
+    ...(node.crossLinks && {
+      crossLinks: node.crossLinks.map(link => ({ ...link, id: createId('link'), target: ids.get(link.target) ?? link.target }))
+    }),
+    ...(node.children && { children: node.children.map(copy) })
+  });
+  return copy(root);
+};
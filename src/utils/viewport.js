@@ -0,0 +1,86 @@
+import * as d3 from 'd3';
+
+/**
+ * Helpers for drawing large maps: viewport culling, level of detail and hit-testing.
+ * All coordinates are map (layout) coordinates unless a name says "screen".
+ */
+
+// Maps with fewer laid-out nodes render everything, so they stay fully in the DOM and ARIA tree
+export const LARGE_MAP_THRESHOLD = 300;
+// Above this many nodes, position changes are applied without animation
+export const ANIMATION_LIMIT = 500;
+// Screen pixels rendered beyond each edge of the viewport so short pans need no re-render
+export const CULL_MARGIN = 400;
+
+// Zoom scale below which labels, then expand badges, are dropped on large maps
+export const getDetailLevel = (scale) => {
+  if (scale < 0.2) return 'shapes';
+  if (scale < 0.45) return 'labels';
+  return 'full';
+};
+
+// Map-space rectangle shown by a zoom transform, grown by `margin` screen pixels
+export const getViewBounds = (transform, width, height, margin = 0) => {
+  const [minX, minY] = transform.invert([-margin, -margin]);
+  const [maxX, maxY] = transform.invert([width + margin, height + margin]);
+  return { minX, minY, maxX, maxY };
+};
+
+export const containsBounds = (outer, inner) =>
+  inner.minX >= outer.minX && inner.maxX <= outer.maxX && inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+
+const nodeInBounds = (node, bounds) =>
+  node.x + node.radius >= bounds.minX && node.x - node.radius <= bounds.maxX &&
+  node.y + node.radius >= bounds.minY && node.y - node.radius <= bounds.maxY;
+
+// Bounding-box test: may keep a few links that only pass near the corner, never drops a visible one
+const linkInBounds = ({ sourcePos, targetPos }, bounds) =>
+  Math.max(sourcePos.x, targetPos.x) >= bounds.minX && Math.min(sourcePos.x, targetPos.x) <= bounds.maxX &&
+  Math.max(sourcePos.y, targetPos.y) >= bounds.minY && Math.min(sourcePos.y, targetPos.y) <= bounds.maxY;
+
+// Keep the nodes and links that touch `bounds`, plus any node listed in `keepIds`
+export const cullLayout = ({ nodes, links }, bounds, keepIds) => ({
+  nodes: nodes.filter(node => keepIds.has(node.id) || nodeInBounds(node, bounds)),
+  links: links.filter(link => linkInBounds(link, bounds))
+});
+
+// A quadratic curve stays inside the box of its end and control points
+const curveInBounds = ({ start, control, end }, bounds) =>
+  Math.max(start.x, control.x, end.x) >= bounds.minX && Math.min(start.x, control.x, end.x) <= bounds.maxX &&
+  Math.max(start.y, control.y, end.y) >= bounds.minY && Math.min(start.y, control.y, end.y) <= bounds.maxY;
+
+// Keep the laid-out cross-links (see ./crossLinks.js) whose curve may touch `bounds`
+export const cullCrossLinks = (crossLinks, bounds) => crossLinks.filter(link => curveInBounds(link, bounds));
+
+// Spatial index over laid-out nodes for hit-testing pointer positions
+export const createNodeIndex = (nodes) => ({
+  tree: d3.quadtree(nodes, node => node.x, node => node.y),
+  maxRadius: nodes.reduce((max, node) => Math.max(max, node.radius), 0)
+});
+
+// The node whose circle contains the point, or null
+export const findNodeAt = ({ tree, maxRadius }, x, y) => {
+  let found = null;
+  tree.visit((quad, x0, y0, x1, y1) => {
+    if (!quad.length) {
+      let leaf = quad;
+      do {
+        const node = leaf.data;
+        if (Math.hypot(x - node.x, y - node.y) <= node.radius) found = node;
+      } while (!found && (leaf = leaf.next));
+    }
+    // Skip quadrants that cannot hold a circle reaching the point
+    return Boolean(found) || x0 > x + maxRadius || x1 < x - maxRadius || y0 > y + maxRadius || y1 < y - maxRadius;
+  });
+  return found;
+};
+
+// A shareable view: the map point at the center of the screen and the zoom scale
+export const toView = (transform, width, height) => {
+  const [x, y] = transform.invert([width / 2, height / 2]);
+  return { x, y, k: transform.k };
+};
+
+// The zoom transform that shows `view` on a screen of the given size
+export const fromView = ({ x, y, k }, width, height) =>
+  d3.zoomIdentity.translate(width / 2 - x * k, height / 2 - y * k).scale(k);